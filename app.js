@@ -1,5 +1,6 @@
+import crypto from "crypto";
 import express from "express";
-import fetch from "node-fetch";
+import fetch, { Blob, FormData } from "node-fetch";
 import bodyParser from "body-parser";
 import TelegramBot from "node-telegram-bot-api";
 import {
@@ -7,8 +8,23 @@ import {
   CLIENT_SECRET,
   REDIRECT_URI,
   TELEGRAM_BOT_TOKEN,
+  WEBHOOK_URL,
+  WEBHOOK_SECRET,
 } from "./config.js";
-import { Token } from "./db.js";
+import { Op } from "sequelize";
+import {
+  Token,
+  OAuthState,
+  Session,
+  CategoryKeyword,
+  ExpenseCreator,
+  RecurringExpense,
+  Reminder,
+  MemberLink,
+  ChatPermission,
+  encryptToken,
+  decryptToken,
+} from "./db.js";
 import chalk from "chalk";
 
 const log = {
@@ -20,7 +36,7 @@ const log = {
 
 log.info("Starting bot with token:", TELEGRAM_BOT_TOKEN);
 const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {
-  polling: true,
+  polling: false,
   request: {
     agentOptions: {
       keepAlive: false,
@@ -30,6 +46,26 @@ const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {
 });
 log.success("Bot is up and running...");
 
+const WEBHOOK_PATH = "/telegram/webhook";
+
+// Without a configured secret a new one is made on every start, which works
+// because the webhook is registered again on every start as well
+const webhookSecret = WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex");
+
+// Polls for updates, e.g. when no public URL is configured for a webhook
+const startPolling = async () => {
+  // Telegram doesn't hand out updates by polling while a webhook is set
+  try {
+    await bot.deleteWebHook();
+  } catch (err) {
+    log.error("Failed to remove the webhook:", err);
+  }
+  bot.startPolling();
+  log.info("Polling for updates");
+};
+
+if (!WEBHOOK_URL) await startPolling();
+
 bot.on("polling_error", (error) => {
   log.error("Polling error occurred:", error);
 });
@@ -38,453 +74,5021 @@ bot.on("webhook_error", (error) => {
   log.error("Webhook error occurred:", error);
 });
 
-// Function to load a token for a specific chat
-const loadToken = async (chatId) => {
+// Function to find the token row a Telegram user acts with in a chat: their own
+// linked account if they have one, otherwise the chat-level account
+const findToken = async (chatId, userId) => {
+  if (userId) {
+    const userToken = await Token.findOne({
+      where: { chatId, userId: String(userId) },
+    });
+    if (userToken) return userToken;
+  }
+  return Token.findOne({ where: { chatId, userId: null } });
+};
+
+// Finds the token a user acts with, as long as it has a default group. Otherwise
+// tells the user what to set up first and returns null.
+const findGroupToken = async (chatId, userId) => {
+  const token = await findToken(chatId, userId);
+  if (!token || !token.accessToken) {
+    log.debug(`No access token found for chat ID: ${chatId}`);
+    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
+    return null;
+  }
+
+  if (!token.defaultGroupId) {
+    log.debug(`No default group set for chat ID: ${chatId}`);
+    bot.sendMessage(
+      chatId,
+      "No default group is set. Please use /setgroup first."
+    );
+    return null;
+  }
+
+  return token;
+};
+
+// Function to load a token for a specific user in a chat
+const loadToken = async (chatId, userId) => {
   try {
-    log.debug(`Loading token from database for chat ID: ${chatId}`);
-    const token = await Token.findOne({ where: { chatId } });
-    return token ? token.accessToken : null;
+    log.debug(
+      `Loading token from database for chat ID: ${chatId}, user ID: ${userId}`
+    );
+    const token = await findToken(chatId, userId);
+    return token ? decryptToken(token.accessToken) : null;
   } catch (error) {
     log.error("Error loading token from database:", error);
     return null;
   }
 };
 
-// Function to save a token for a specific chat
-const saveToken = async (chatId, accessToken) => {
+// Function to save a token for a specific user in a chat
+const saveToken = async (chatId, userId, accessToken) => {
   try {
-    log.debug(`Saving token to database for chat ID: ${chatId}`);
+    log.debug(
+      `Saving token to database for chat ID: ${chatId}, user ID: ${userId}`
+    );
     log.debug(`Type of chatId: ${typeof chatId}`);
     if (typeof chatId !== "string" && typeof chatId !== "number") {
       throw new Error(`Invalid chatId type: ${typeof chatId}`);
     }
-    const existingToken = await Token.findOne({ where: { chatId } });
+    const existingToken = await Token.findOne({
+      where: { chatId, userId: String(userId) },
+    });
     if (existingToken) {
-      existingToken.accessToken = accessToken;
+      existingToken.accessToken = encryptToken(accessToken);
       await existingToken.save();
     } else {
-      await Token.create({ chatId, accessToken });
+      // Start from the default group already used in this chat, if any
+      const chatToken = await Token.findOne({
+        where: { chatId, defaultGroupId: { [Op.ne]: null } },
+        order: [["userId", "ASC"]],
+      });
+      // The default currency belongs to the whole chat
+      const currencyToken = await Token.findOne({
+        where: { chatId, defaultCurrency: { [Op.ne]: null } },
+      });
+      await Token.create({
+        chatId,
+        userId: String(userId),
+        accessToken: encryptToken(accessToken),
+        defaultGroupId: chatToken ? chatToken.defaultGroupId : null,
+        defaultCurrency: currencyToken ? currencyToken.defaultCurrency : null,
+      });
     }
-    log.success(`Token saved successfully for chat ID: ${chatId}`);
+    log.success(
+      `Token saved successfully for chat ID: ${chatId}, user ID: ${userId}`
+    );
   } catch (error) {
     log.error("Error saving token to database:", error);
   }
 };
 
-const userSessions = {};
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
 
-const BUTTON_TIMEOUT = 60 * 1000;
+const signState = (nonce) =>
+  crypto.createHmac("sha256", CLIENT_SECRET).update(nonce).digest("hex");
 
-const cleanUpSession = async (chatId) => {
-  const session = userSessions[chatId];
-  if (session) {
-    log.debug(`Cleaning up session for chat ID: ${chatId}`);
+// Function to create a single-use OAuth state for a /login link, bound to the
+// chat and Telegram user that requested it
+const createOAuthState = async (chatId, userId) => {
+  // Forget links that expired long ago
+  await OAuthState.destroy({
+    where: {
+      expiresAt: { [Op.lt]: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+    },
+  });
 
-    // Clear any timeouts
-    if (session.timeout) {
-      clearTimeout(session.timeout);
-      delete session.timeout;
-    }
+  const nonce = crypto.randomBytes(24).toString("hex");
+  await OAuthState.create({
+    nonce,
+    chatId: String(chatId),
+    userId: String(userId),
+    expiresAt: new Date(Date.now() + OAUTH_STATE_TTL),
+  });
 
-    // Delete stored messages
-    const messageIds = session.messageIds || [];
-    for (const messageId of messageIds) {
-      try {
-        await bot.deleteMessage(chatId, messageId);
-      } catch (err) {
-        log.error(`Failed to delete message ${messageId}:`, err);
-      }
-    }
+  return `${nonce}.${signState(nonce)}`;
+};
 
-    // Delete the session
-    delete userSessions[chatId];
-    log.debug(`Session for chat ID ${chatId} has been deleted.`);
+// Function to check the state passed back to /oauth/callback and mark it used.
+// Returns { chatId, userId } or { error } with a message for the browser.
+const consumeOAuthState = async (state) => {
+  const [nonce, signature] = String(state || "").split(".");
+  const expected = nonce ? signState(nonce) : "";
+
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return { error: "This login link is invalid. Please use /login again." };
   }
-};
 
-const setButtonTimeout = (chatId, sentMessage) => {
-  const session = userSessions[chatId];
+  const oauthState = await OAuthState.findOne({ where: { nonce } });
+  if (!oauthState) {
+    return { error: "This login link is invalid. Please use /login again." };
+  }
 
-  // Clear existing timeout if any
-  if (session && session.timeout) {
-    clearTimeout(session.timeout);
-    delete session.timeout;
-    log.debug(`Existing timeout cleared for chat ID: ${chatId}`);
+  if (oauthState.usedAt) {
+    return {
+      error:
+        "This login link has already been used. Please use /login again if you need a new one.",
+    };
   }
 
-  const timeout = setTimeout(async () => {
-    log.debug(`Button timeout expired for chat ID: ${chatId}`);
+  if (oauthState.expiresAt < new Date()) {
+    return {
+      error: "This login link has expired. Please use /login again.",
+    };
+  }
 
-    try {
-      await bot.editMessageReplyMarkup(
-        { inline_keyboard: [] },
-        {
-          chat_id: chatId,
-          message_id: sentMessage.message_id,
-        }
-      );
+  // Only one request can win the update, so a replayed link is rejected
+  const [updated] = await OAuthState.update(
+    { usedAt: new Date() },
+    { where: { nonce, usedAt: null } }
+  );
+  if (updated !== 1) {
+    return {
+      error:
+        "This login link has already been used. Please use /login again if you need a new one.",
+    };
+  }
 
-      // Delete the message after editing
-      await bot.deleteMessage(chatId, sentMessage.message_id);
-    } catch (err) {
-      log.error(
-        `Failed to edit or delete message ${sentMessage.message_id}:`,
-        err
-      );
-    }
+  return { chatId: oauthState.chatId, userId: oauthState.userId };
+};
 
-    // Send session expired message
-    const expiredMessage = await bot.sendMessage(
-      chatId,
-      "The session has expired. Please try again if needed."
-    );
+// In-progress conversations, keyed by session ID. Each Telegram user has at most
+// one session per chat, and inline keyboards carry the session ID in their
+// callback data so several people can run flows in the same chat at once.
+// Sessions are restored from the database on startup and written back by the
+// session sweeper below.
+const userSessions = Object.fromEntries(
+  (await Session.findAll()).map((row) => [
+    row.key,
+    { ...JSON.parse(row.data), sid: row.key, chatId: row.chatId },
+  ])
+);
+log.info(`Restored ${Object.keys(userSessions).length} session(s)`);
+
+const BUTTON_TIMEOUT = 60 * 1000;
+const SESSION_TIMEOUT = 10 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL = 5 * 1000;
 
-    // Store the expired message ID
-    if (!session.messageIds) session.messageIds = [];
-    session.messageIds.push(expiredMessage.message_id);
+// Pushes a session's expiry back, e.g. after the user interacted with it
+const touchSession = (session, timeout = SESSION_TIMEOUT) => {
+  session.expiresAt = Date.now() + timeout;
+};
 
-    // Clean up the session
-    delete userSessions[chatId];
-    log.debug(`Session for chat ID ${chatId} has been deleted due to timeout.`);
-  }, BUTTON_TIMEOUT);
+// Finds the session a Telegram user currently has open in a chat. viewOnly
+// sessions are left alone: they live next to it until their buttons expire.
+const findUserSession = (chatId, userId) =>
+  Object.values(userSessions).find(
+    (session) =>
+      !session.viewOnly &&
+      String(session.chatId) === String(chatId) &&
+      String(session.userId) === String(userId)
+  );
 
-  log.debug(`Setting button timeout for chat ID: ${chatId}`);
-  if (!session) userSessions[chatId] = {};
-  userSessions[chatId].timeout = timeout;
+// Starts a new session for a user in a chat, replacing any session they had
+// open there
+const startSession = (chatId, userId, fields = {}) => {
+  const existing = findUserSession(chatId, userId);
+  if (existing) {
+    // Drop it right away, its messages are removed in the background
+    delete userSessions[existing.sid];
+    finishSession(existing);
+  }
 
-  // Store the message ID
-  if (!session.messageIds) session.messageIds = [];
-  session.messageIds.push(sentMessage.message_id);
+  const sid = crypto.randomBytes(4).toString("hex");
+  userSessions[sid] = { ...fields, sid, chatId, userId, messageIds: [] };
+  return userSessions[sid];
 };
 
-bot.onText(/\/login/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  log.info(
-    `Received /login command from chat ID: ${chatId}, user ID: ${userId}`
+// Tags every button of an inline keyboard with the session it belongs to
+const sessionKeyboard = (session, keyboard) =>
+  keyboard.map((row) =>
+    row.map((button) =>
+      button.callback_data
+        ? { ...button, callback_data: `${button.callback_data}:${session.sid}` }
+        : button
+    )
   );
 
-  // Clean up any existing session
-  await cleanUpSession(chatId);
+// Splits callback data into the action and the session ID it was tagged with
+const parseCallbackData = (data) => {
+  const separator = data.lastIndexOf(":");
+  if (separator === -1) return { action: data, sid: null };
+  return { action: data.slice(0, separator), sid: data.slice(separator + 1) };
+};
 
-  // Check if the chat already has a linked account
-  const token = await Token.findOne({ where: { chatId } });
-  if (token && token.accessToken) {
-    log.debug(`Account already linked for chat ID: ${chatId}`);
-    bot.sendMessage(
-      chatId,
-      "An account is already linked to this group. Please use /unlink to remove the current account before logging in with a new one."
-    );
-    return;
+// Deletes a session's messages and drops the session
+const finishSession = async (session) => {
+  const { chatId } = session;
+  const messageIds = session.messageIds || [];
+  for (const messageId of messageIds) {
+    try {
+      await bot.deleteMessage(chatId, messageId);
+    } catch (err) {
+      log.error(`Failed to delete message ${messageId}:`, err);
+    }
   }
 
-  const authUrl = `https://secure.splitwise.com/oauth/authorize?client_id=${CLIENT_ID}&redirect_uri=${REDIRECT_URI}&response_type=code&state=${chatId}`;
-
-  log.debug(`Sending login link to chat ID ${chatId}: ${authUrl}`);
+  delete userSessions[session.sid];
+  log.debug(`Session ${session.sid} for chat ID ${chatId} has been deleted.`);
+};
 
-  bot
-    .sendMessage(chatId, `Click to log in to Splitwise: ${authUrl}`)
-    .then((sentMessage) => {
-      userSessions[chatId] = {
-        loginMessageId: sentMessage.message_id,
-      };
-    });
-});
+// Cleans up the session a user has open in a chat, if any
+const cleanUpSession = async (chatId, userId) => {
+  const session = findUserSession(chatId, userId);
+  if (session) {
+    log.debug(`Cleaning up session for chat ID: ${chatId}, user ID: ${userId}`);
+    await finishSession(session);
+  }
+};
 
-bot.onText(/\/unlink/, async (msg) => {
-  const chatId = msg.chat.id;
-  log.info(`Received /unlink command from chat ID: ${chatId}`);
+// Lets a message with buttons expire after BUTTON_TIMEOUT unless the user
+// interacts with it. The session sweeper takes care of the expiry.
+const setButtonTimeout = (session, sentMessage) => {
+  log.debug(`Setting button timeout for session ${session.sid}`);
+  touchSession(session, BUTTON_TIMEOUT);
 
-  // Clean up any existing session
-  await cleanUpSession(chatId);
+  // Messages of view-only sessions stay in the chat
+  if (session.viewOnly) return;
 
-  // Check if there's a linked account
-  const token = await Token.findOne({ where: { chatId } });
-  if (!token || !token.accessToken) {
-    log.debug(`No account linked for chat ID: ${chatId}`);
-    bot.sendMessage(chatId, "No account is currently linked to this group.");
-    return;
+  // Store the message ID
+  if (!session.messageIds) session.messageIds = [];
+  if (!session.messageIds.includes(sentMessage.message_id)) {
+    session.messageIds.push(sentMessage.message_id);
   }
+};
+
+// Removes an expired session together with the messages it left behind.
+// viewOnly sessions only back the buttons of messages that stay in the chat
+// (e.g. /history pages), so they go away without telling the chat.
+const expireSession = async (session) => {
+  log.debug(`Session ${session.sid} expired in chat ID: ${session.chatId}`);
+  await finishSession(session);
+  if (session.viewOnly) return;
 
-  // Delete the token record to unlink the account
   try {
-    await Token.destroy({ where: { chatId } }); // Delete the token entry
-    log.success(`Account unlinked successfully for chat ID: ${chatId}`);
-    bot.sendMessage(
-      chatId,
-      "The account has been unlinked successfully. You can now log in with a new account using /login."
+    await bot.sendMessage(
+      session.chatId,
+      "The session has expired. Please try again if needed."
+    );
+  } catch (err) {
+    log.error(
+      `Failed to send session expired message to ${session.chatId}:`,
+      err
     );
-  } catch (error) {
-    log.error(`Error unlinking account for chat ID: ${chatId}`, error);
-    bot.sendMessage(chatId, "Failed to unlink the account. Please try again.");
   }
-});
+};
 
-bot.onText(/\/group/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  log.info(
-    `Received /group command from chat ID: ${chatId}, user ID: ${userId}`
-  );
+// Last JSON written to the database for each session key
+const persistedSessions = Object.fromEntries(
+  Object.entries(userSessions).map(([key, session]) => [
+    key,
+    JSON.stringify(session),
+  ])
+);
+
+// Writes changed sessions to the database and removes finished ones
+const flushSessions = async () => {
+  for (const [key, session] of Object.entries(userSessions)) {
+    if (!session.expiresAt) touchSession(session);
+
+    const data = JSON.stringify(session);
+    if (persistedSessions[key] === data) continue;
+
+    await Session.upsert({
+      key,
+      chatId: String(session.chatId),
+      userId: session.userId ? String(session.userId) : null,
+      data,
+      expiresAt: new Date(session.expiresAt),
+    });
+    persistedSessions[key] = data;
+  }
 
-  // Clean up any existing session
-  await cleanUpSession(chatId);
+  for (const key of Object.keys(persistedSessions)) {
+    if (userSessions[key]) continue;
 
-  // Retrieve token from the database
-  const accessToken = await loadToken(chatId);
-  if (!accessToken) {
-    log.debug(`No access token found for chat ID: ${chatId}`);
-    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
-    return;
+    await Session.destroy({ where: { key } });
+    delete persistedSessions[key];
   }
+};
+
+let sweepingSessions = false;
+
+// Expires sessions that have been idle for too long and persists the rest
+const sweepSessions = async () => {
+  if (sweepingSessions) return;
+  sweepingSessions = true;
 
   try {
-    log.debug(`Fetching groups for chat ID: ${chatId}`);
-    const response = await fetch(
-      "https://secure.splitwise.com/api/v3.0/get_groups",
-      {
-        method: "GET",
-        headers: { Authorization: `Bearer ${accessToken}` },
+    const now = Date.now();
+    for (const session of Object.values(userSessions)) {
+      if (session.expiresAt && session.expiresAt <= now) {
+        await expireSession(session);
       }
-    );
-    const data = await response.json();
-    const groups = data.groups;
-    if (!groups || groups.length === 0) {
-      log.debug(`No groups found for chat ID: ${chatId}`);
-      bot.sendMessage(chatId, "You are not part of any groups.");
-      return;
     }
 
-    log.debug(
-      `Storing user session for chat ID: ${chatId}, user ID: ${userId}`
-    );
-    userSessions[chatId] = { userId, messageIds: [] };
+    await flushSessions();
+  } catch (err) {
+    log.error("Error sweeping sessions:", err);
+  } finally {
+    sweepingSessions = false;
+  }
+};
 
-    const groupButtons = groups.map((group) => [
-      {
-        text: group.name,
-        callback_data: `group_${group.id}`,
-      },
-    ]);
-    const sentMessage = await bot.sendMessage(chatId, "Here are your groups:", {
-      reply_markup: { inline_keyboard: groupButtons },
-    });
+setInterval(sweepSessions, SESSION_SWEEP_INTERVAL);
 
-    // Store the message ID
-    userSessions[chatId].messageIds.push(sentMessage.message_id);
+// Make sure the latest session state is saved before shutting down
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    log.info(`Received ${signal}, saving sessions before exit...`);
+    try {
+      await flushSessions();
+    } catch (err) {
+      log.error("Error saving sessions:", err);
+    }
+    process.exit(0);
+  });
+}
+
+const DEFAULT_CURRENCY = "SGD";
+
+// Currency symbols accepted before or after an amount, longest first so "S$" wins
+// over "$". A bare "$" is used by too many currencies to pick one, so it means
+// the chat's default currency.
+const CURRENCY_SYMBOLS = [
+  ["US$", "USD"],
+  ["HK$", "HKD"],
+  ["NZ$", "NZD"],
+  ["S$", "SGD"],
+  ["A$", "AUD"],
+  ["C$", "CAD"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["¥", "JPY"],
+  ["₹", "INR"],
+  ["₩", "KRW"],
+  ["₱", "PHP"],
+  ["฿", "THB"],
+  ["₫", "VND"],
+  ["$", null],
+];
+
+// Reads a number written with "," or "." as the decimal separator and ",", ".",
+// "'" or spaces between groups of three digits, e.g. "12,50", "1 200" or
+// "1.200,50". A single separator followed by exactly three digits groups
+// thousands, unless the number starts with 0 ("0.500" is ambiguous). Returns NaN
+// for anything else, including more than 2 decimals.
+const parseNumber = (literal) => {
+  const compact = literal.replace(/[\s'’]/g, "");
+  const separators = compact.match(/[.,]/g) || [];
+  const mixed = new Set(separators).size > 1;
+  const lastSeparator = Math.max(
+    compact.lastIndexOf("."),
+    compact.lastIndexOf(",")
+  );
 
-    setButtonTimeout(chatId, sentMessage);
-  } catch (err) {
-    log.error(`Error fetching groups for chat ID ${chatId}:`, err);
-    bot.sendMessage(chatId, "Failed to fetch groups. Please try again.");
+  let integerPart = compact;
+  let fraction = "";
+  const tail = compact.slice(lastSeparator + 1);
+  if (
+    lastSeparator !== -1 &&
+    (mixed || (separators.length === 1 && tail.length !== 3))
+  ) {
+    integerPart = compact.slice(0, lastSeparator);
+    fraction = tail;
   }
-});
 
-bot.onText(/\/setgroup/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
-  log.info(
-    `Received /setgroup command from chat ID: ${chatId}, user ID: ${userId}`
+  const groups = integerPart.split(/[.,]/);
+  if (
+    new Set(integerPart.match(/[.,]/g) || []).size > 1 ||
+    (groups.length > 1 &&
+      (groups[0].length > 3 ||
+        groups[0].startsWith("0") ||
+        groups.slice(1).some((g) => g.length !== 3))) ||
+    fraction.length > 2
+  ) {
+    return NaN;
+  }
+
+  return parseFloat(`${groups.join("")}.${fraction || "0"}`);
+};
+
+// Evaluates +, -, *, /, × and ÷ with the usual precedence and parentheses over
+// numbers read by parseNumber, without eval. Returns NaN if the expression is
+// malformed.
+const evaluateExpression = (text) => {
+  const tokens = [];
+  const numberPattern = /^\d+(?:(?:[.,'’]|[ \u00a0\u202f](?=\d{3}(?!\d)))\d+)*/;
+  let rest = text.trim();
+  while (rest) {
+    const numberMatch = rest.match(numberPattern);
+    if (numberMatch) {
+      tokens.push(parseNumber(numberMatch[0]));
+      rest = rest.slice(numberMatch[0].length).trim();
+    } else if ("+-*/×÷()".includes(rest[0])) {
+      tokens.push(rest[0] === "×" ? "*" : rest[0] === "÷" ? "/" : rest[0]);
+      rest = rest.slice(1).trim();
+    } else {
+      return NaN;
+    }
+  }
+
+  let position = 0;
+  const parseSum = () => {
+    let value = parseProduct();
+    while (tokens[position] === "+" || tokens[position] === "-") {
+      const operator = tokens[position++];
+      const operand = parseProduct();
+      value = operator === "+" ? value + operand : value - operand;
+    }
+    return value;
+  };
+  const parseProduct = () => {
+    let value = parseFactor();
+    while (tokens[position] === "*" || tokens[position] === "/") {
+      const operator = tokens[position++];
+      const operand = parseFactor();
+      value = operator === "*" ? value * operand : value / operand;
+    }
+    return value;
+  };
+  const parseFactor = () => {
+    const token = tokens[position++];
+    if (typeof token === "number") return token;
+    if (token === "-") return -parseFactor();
+    if (token === "(") {
+      const value = parseSum();
+      return tokens[position++] === ")" ? value : NaN;
+    }
+    return NaN;
+  };
+
+  const value = parseSum();
+  return position === tokens.length ? value : NaN;
+};
+
+// Parses an amount such as "10", "10.50 USD", "€12,50", "1 200 eur" or
+// "45+12.30-5" into { amount, currencyCode, computed }, or returns { error } with
+// a message that can be shown to the user. The total is rounded to cents, and
+// computed is set when it had to be worked out rather than read as written, so
+// it can be shown back for confirmation. The currency code is left undefined when
+// none was given, and checked against supportedCurrencies when that list is
+// available. Lowercase codes are only accepted when they can be checked, so a
+// word like "for" isn't mistaken for a currency, and not at all without
+// lowercaseCodes, for amounts that come with other words.
+const parseAmount = (
+  input,
+  supportedCurrencies = null,
+  lowercaseCodes = true
+) => {
+  const invalid = {
+    error:
+      "Invalid amount. Please enter a valid positive number or sum with an optional currency (e.g., 100 USD, €12,50 or 45+12.30-5).",
+  };
+  let text = input.trim();
+  let currencyCode;
+
+  const symbol = CURRENCY_SYMBOLS.find(
+    ([sign]) => text.startsWith(sign) || text.endsWith(sign)
   );
+  if (symbol) {
+    const [sign, code] = symbol;
+    text = (
+      text.startsWith(sign)
+        ? text.slice(sign.length)
+        : text.slice(0, -sign.length)
+    ).trim();
+    currencyCode = code || undefined;
+  }
 
-  // Clean up any existing session
-  await cleanUpSession(chatId);
+  const codeMatch = text.match(
+    /^(?:([A-Za-z]{3})\s*)?([^A-Za-z]+?)(?:\s*([A-Za-z]{3}))?$/
+  );
+  if (!codeMatch || (codeMatch[1] && codeMatch[3])) return invalid;
+
+  const code = codeMatch[1] || codeMatch[3];
+  if (code) {
+    if (
+      code !== code.toUpperCase() &&
+      (!lowercaseCodes || !supportedCurrencies)
+    ) {
+      return invalid;
+    }
+    if (currencyCode && currencyCode !== code.toUpperCase()) return invalid;
+    currencyCode = code.toUpperCase();
+  }
 
-  // Retrieve the access token from the database
-  const accessToken = await loadToken(chatId);
-  if (!accessToken) {
-    log.debug(`No access token found for chat ID: ${chatId}`);
-    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
-    return;
+  if (
+    currencyCode &&
+    supportedCurrencies &&
+    !supportedCurrencies.has(currencyCode)
+  ) {
+    return {
+      error: `${currencyCode} is not a currency supported by Splitwise.`,
+    };
   }
 
-  try {
-    log.debug(`Fetching groups for chat ID: ${chatId}`);
-    const response = await fetch(
-      "https://secure.splitwise.com/api/v3.0/get_groups",
-      {
-        method: "GET",
-        headers: { Authorization: `Bearer ${accessToken}` },
-      }
-    );
-    const data = await response.json();
-    const groups = data.groups;
+  const value = evaluateExpression(codeMatch[2]);
+  if (isNaN(value) || !isFinite(value)) return invalid;
 
-    if (!groups || groups.length === 0) {
-      log.debug(`No groups found for chat ID: ${chatId}`);
-      bot.sendMessage(chatId, "You are not part of any groups.");
+  const amount = Math.round(value * 100) / 100;
+  if (amount <= 0) {
+    return { error: "Invalid amount. Please enter a valid positive number." };
+  }
+
+  return {
+    amount,
+    currencyCode,
+    computed: !/^\d+(\.\d{1,2})?$/.test(codeMatch[2]),
+  };
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const formatCents = (cents) => (cents / 100).toFixed(2);
+
+// Splits totalCents in proportion to weights. Cents lost to rounding go to the
+// largest remainders first, ties broken by position, so the same input always
+// produces the same split.
+const allocateCents = (totalCents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map((weight) => (totalCents * weight) / totalWeight);
+  const shares = exact.map((value) => Math.floor(value));
+
+  let leftover = totalCents - shares.reduce((sum, share) => sum + share, 0);
+  const order = exact
+    .map((value, idx) => ({ idx, remainder: value - shares[idx] }))
+    .sort((a, b) => b.remainder - a.remainder || a.idx - b.idx);
+
+  for (let k = 0; leftover > 0; k++, leftover--) {
+    shares[order[k % order.length].idx] += 1;
+  }
+
+  return shares;
+};
+
+const SPLIT_MODES = {
+  exact: {
+    label: "Exact amounts",
+    prompt: (names, total) =>
+      `Enter the exact amount owed by ${names} in that order (e.g. 10 20 12.80). They must add up to ${total}.`,
+  },
+  percent: {
+    label: "Percentages",
+    prompt: (names) =>
+      `Enter the percentage owed by ${names} in that order (e.g. 50 25 25). They must add up to 100%.`,
+  },
+  shares: {
+    label: "Shares",
+    prompt: (names) =>
+      `Enter the number of shares for ${names} in that order (e.g. 2:1:1).`,
+  },
+};
+
+// Turns the values entered for an unequal split into owed shares in cents,
+// one per selected member, or returns { error }
+const parseSplitValues = (input, mode, totalCents, memberCount) => {
+  const values = input
+    .trim()
+    .split(/[\s:;,]+/)
+    .filter(Boolean)
+    .map((value) => value.replace(/%$/, ""));
+
+  if (values.length !== memberCount) {
+    return {
+      error: `Please enter exactly ${memberCount} values, one per selected member.`,
+    };
+  }
+
+  if (values.some((value) => !/^\d+(\.\d+)?$/.test(value))) {
+    return { error: "Please enter non-negative numbers only." };
+  }
+
+  const numbers = values.map(parseFloat);
+
+  if (mode === "exact") {
+    if (values.some((value) => /\.\d{3,}$/.test(value))) {
+      return { error: "Amounts can have at most 2 decimal places." };
+    }
+    const owedCents = numbers.map(toCents);
+    const sum = owedCents.reduce((total, cents) => total + cents, 0);
+    if (sum !== totalCents) {
+      return {
+        error: `The amounts add up to ${formatCents(sum)} but the expense is ${formatCents(totalCents)}.`,
+      };
+    }
+    return { owedCents };
+  }
+
+  if (mode === "percent") {
+    const sum = numbers.reduce((total, value) => total + value, 0);
+    if (Math.abs(sum - 100) > 1e-9) {
+      return { error: `The percentages add up to ${sum}% instead of 100%.` };
+    }
+  }
+
+  if (numbers.every((value) => value === 0)) {
+    return { error: "At least one member has to owe something." };
+  }
+
+  return { owedCents: allocateCents(totalCents, numbers) };
+};
+
+// Splits the arguments of a one-shot /expense command into description, amount,
+// currency and @mentions. The amount may come before or after the description,
+// e.g. "42.80 EUR Dinner at Luigi's @alice @bob" or "Taxi 18". amountInput holds
+// the amount as typed when it had to be computed, so it can be confirmed.
+const parseExpenseArgs = (args, supportedCurrencies = null) => {
+  const tokens = args.trim().split(/\s+/).filter(Boolean);
+  const mentions = tokens
+    .filter((token) => token.startsWith("@") && token.length > 1)
+    .map((token) => token.slice(1));
+  const words = tokens.filter((token) => !token.startsWith("@"));
+
+  const candidates = [
+    [0, 2],
+    [0, 1],
+    [words.length - 2, words.length],
+    [words.length - 1, words.length],
+  ];
+
+  for (const [start, end] of candidates) {
+    if (start < 0 || start >= end || end > words.length) continue;
+
+    const amountText = words.slice(start, end).join(" ");
+    // Words next to the amount are often part of the description ("Lunch with
+    // Bob 20", "5 pen and paper"), so only uppercase codes count as a currency
+    const parsed = parseAmount(amountText, supportedCurrencies, false);
+    if (!parsed.error) {
+      return {
+        description: [...words.slice(0, start), ...words.slice(end)].join(" "),
+        amount: parsed.amount,
+        amountInput: parsed.computed ? amountText : undefined,
+        currencyCode: parsed.currencyCode,
+        mentions,
+      };
+    }
+  }
+
+  return { description: words.join(" "), mentions };
+};
+
+// Matches @mentions against Splitwise group members by first name, last name,
+// full name, email or linked Telegram username, ignoring case and spaces
+const resolveMentions = (members, mentions) => {
+  const memberIds = [];
+  const unresolved = [];
+
+  const normalize = (value) => (value || "").toLowerCase().replace(/\s+/g, "");
+
+  mentions.forEach((mention) => {
+    const wanted = normalize(mention);
+    const member = members.find((m) =>
+      [
+        m.first_name,
+        m.last_name,
+        `${m.first_name || ""}${m.last_name || ""}`,
+        (m.email || "").split("@")[0],
+        m.telegramUsername,
+      ]
+        .map(normalize)
+        .some((name) => name && name === wanted)
+    );
+
+    if (member) {
+      if (!memberIds.includes(member.id)) memberIds.push(member.id);
+    } else {
+      unresolved.push(mention);
+    }
+  });
+
+  return { memberIds, unresolved };
+};
+
+const SURCHARGE_PATTERN =
+  /^(tax|gst|vat|service(?:\s+charge)?)\s+(\d+(?:\.\d+)?)\s*%?$/i;
+
+// Parses the lines of an itemized bill, e.g. "Pizza 18.00 @alice @bob" for an item
+// and "service 10%" or "gst 9" for a surcharge. Returns { items, surcharges,
+// currencyCode } or { error }.
+const parseItemizedBill = (text, supportedCurrencies = null) => {
+  const items = [];
+  const surcharges = [];
+  let currencyCode;
+
+  const lines = text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  for (const line of lines) {
+    const surcharge = line.match(SURCHARGE_PATTERN);
+    if (surcharge) {
+      surcharges.push({
+        label: surcharge[1].toLowerCase(),
+        percent: parseFloat(surcharge[2]),
+      });
+      continue;
+    }
+
+    const item = parseExpenseArgs(line, supportedCurrencies);
+    if (!item.amount) {
+      return {
+        error: `Couldn't read "${line}". Enter items like "Pizza 18.00 @alice @bob".`,
+      };
+    }
+
+    if (
+      item.currencyCode &&
+      currencyCode &&
+      item.currencyCode !== currencyCode
+    ) {
+      return { error: "All items must be in the same currency." };
+    }
+    currencyCode = currencyCode || item.currencyCode;
+
+    items.push({
+      name: item.description,
+      cents: toCents(item.amount),
+      mentions: item.mentions,
+    });
+  }
+
+  if (items.length === 0) {
+    return { error: "No items found. Enter one item per line." };
+  }
+
+  return { items, surcharges, currencyCode };
+};
+
+// Works out what each member owes for an itemized bill. An item is split equally
+// between its members, or between everyone on the bill if it has none. The
+// surcharges are applied in order, each on top of the previous, and the total is
+// then divided in proportion to everyone's items so the cents add up exactly.
+const computeItemizedShares = (items, surcharges, everyone) => {
+  const subtotals = new Map(everyone.map((memberId) => [memberId, 0]));
+
+  items.forEach((item) => {
+    const sharers = item.memberIds.length > 0 ? item.memberIds : everyone;
+    allocateCents(
+      item.cents,
+      sharers.map(() => 1)
+    ).forEach((cents, idx) => {
+      subtotals.set(sharers[idx], (subtotals.get(sharers[idx]) || 0) + cents);
+    });
+  });
+
+  // Members who only share items with specific people may end up with nothing
+  const memberIds = [...subtotals.keys()].filter((id) => subtotals.get(id) > 0);
+  const memberSubtotals = memberIds.map((id) => subtotals.get(id));
+  const subtotalCents = memberSubtotals.reduce((sum, cents) => sum + cents, 0);
+  const totalCents = Math.round(
+    surcharges.reduce(
+      (total, { percent }) => total * (1 + percent / 100),
+      subtotalCents
+    )
+  );
+
+  return {
+    memberIds,
+    subtotals: memberSubtotals,
+    owedCents: allocateCents(totalCents, memberSubtotals),
+    subtotalCents,
+    totalCents,
+  };
+};
+
+// Function to fetch a Splitwise group including its members. Members linked to a
+// Telegram user with /whoami or /linkmember get telegramUserId, telegramUsername
+// and telegramName fields.
+const fetchGroup = async (accessToken, groupId) => {
+  log.debug(`Fetching group details for group ID: ${groupId}`);
+  const groupResponse = await fetch(
+    `https://secure.splitwise.com/api/v3.0/get_group/${groupId}`,
+    {
+      method: "GET",
+      headers: { Authorization: `Bearer ${accessToken}` },
+    }
+  );
+  const groupData = await groupResponse.json();
+  const group = groupData.group;
+  if (!group || !group.members) return group;
+
+  const links = await MemberLink.findAll({
+    where: { groupId: String(groupId) },
+  });
+  group.members.forEach((member) => {
+    const link = links.find((l) => l.splitwiseUserId === member.id);
+    if (!link) return;
+    member.telegramUserId = link.telegramUserId;
+    member.telegramUsername = link.telegramUsername;
+    member.telegramName = link.telegramName;
+  });
+  return group;
+};
+
+// Category used when none was picked or suggested
+const DEFAULT_CATEGORY_ID = 15;
+const SPLITWISE_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+let categoryCache = null;
+
+// Function to fetch Splitwise's category tree. It is the same for everyone, so
+// it is cached for a day.
+const fetchCategories = async (accessToken) => {
+  if (categoryCache && categoryCache.expiresAt > Date.now()) {
+    return categoryCache.categories;
+  }
+
+  log.debug("Fetching Splitwise categories");
+  const response = await fetch(
+    "https://secure.splitwise.com/api/v3.0/get_categories",
+    {
+      method: "GET",
+      headers: { Authorization: `Bearer ${accessToken}` },
+    }
+  );
+  const data = await response.json();
+
+  // Only a real tree is cached, so a failed request is retried next time
+  if (!response.ok || !data.categories || data.categories.length === 0) {
+    throw new Error(`Failed to fetch categories: ${response.statusText}`);
+  }
+
+  categoryCache = {
+    categories: data.categories,
+    expiresAt: Date.now() + SPLITWISE_CACHE_TTL,
+  };
+  return categoryCache.categories;
+};
+
+// Finds a category anywhere in the tree, returning it with its parent's name
+const findCategory = (categories, categoryId) => {
+  for (const parent of categories) {
+    if (parent.id === categoryId) return { ...parent, parentName: null };
+    const child = (parent.subcategories || []).find(
+      (sub) => sub.id === categoryId
+    );
+    if (child) return { ...child, parentName: parent.name };
+  }
+  return null;
+};
+
+// Suggests a category from the chat's keyword map. Keywords match whole words in
+// the description, longest keyword first, so "ice cream" wins over "ice".
+const suggestCategory = async (chatId, description) => {
+  const keywords = await CategoryKeyword.findAll({
+    where: { chatId: String(chatId) },
+  });
+  const text = ` ${description.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ")} `;
+
+  const match = keywords
+    .sort((a, b) => b.keyword.length - a.keyword.length)
+    .find((entry) => text.includes(` ${entry.keyword} `));
+
+  return match ? { id: match.categoryId, name: match.categoryName } : null;
+};
+
+// Builds the category picker: top-level categories first, then the
+// subcategories of the one that was opened
+const buildCategoryButtons = (categories, parentId, suggestion) => {
+  const buttons = [];
+
+  if (parentId) {
+    const parent = categories.find((category) => category.id === parentId);
+    const subcategories = parent ? parent.subcategories || [] : [];
+    for (let i = 0; i < subcategories.length; i += 2) {
+      buttons.push(
+        subcategories.slice(i, i + 2).map((sub) => ({
+          text: sub.name,
+          callback_data: `category_${sub.id}`,
+        }))
+      );
+    }
+    buttons.push([{ text: "« Back", callback_data: "categoryGroup_back" }]);
+    return buttons;
+  }
+
+  if (suggestion) {
+    buttons.push([
+      {
+        text: `${suggestion.name} (suggested)`,
+        callback_data: `category_${suggestion.id}`,
+      },
+    ]);
+  }
+
+  for (let i = 0; i < categories.length; i += 2) {
+    buttons.push(
+      categories.slice(i, i + 2).map((category) => ({
+        text: category.name,
+        callback_data: `categoryGroup_${category.id}`,
+      }))
+    );
+  }
+  buttons.push([{ text: "Skip", callback_data: "category_skip" }]);
+  return buttons;
+};
+
+// Asks which category the expense (or a keyword being mapped) belongs to
+const promptCategory = async (chatId, session, text) => {
+  const accessToken = await loadToken(chatId, session.userId);
+  const categories = await fetchCategories(accessToken);
+
+  session.step = "awaiting_category";
+  const sentMessage = await bot.sendMessage(chatId, text, {
+    reply_markup: {
+      inline_keyboard: sessionKeyboard(
+        session,
+        buildCategoryButtons(categories, null, session.suggestedCategory)
+      ),
+    },
+  });
+  session.messageIds.push(sentMessage.message_id);
+};
+
+// Used when the category tree can't be fetched in the middle of a flow. A new
+// expense goes ahead with the suggested or default category, while mapping a
+// keyword or editing an expense's category is called off.
+const skipCategoryPicker = async (chatId, session, err) => {
+  log.error(`Error fetching categories for chat ID ${chatId}:`, err);
+  if (session.keyword || session.expenseId) {
+    bot.sendMessage(chatId, "Failed to fetch categories. Please try again.");
+    await finishSession(session);
+    return;
+  }
+
+  session.categoryId =
+    (session.suggestedCategory && session.suggestedCategory.id) ||
+    DEFAULT_CATEGORY_ID;
+  await continueExpenseFlow(chatId, session);
+};
+
+let currencyCache = null;
+
+// Function to fetch the currency codes Splitwise supports, cached for a day
+const fetchCurrencies = async (accessToken) => {
+  if (currencyCache && currencyCache.expiresAt > Date.now()) {
+    return currencyCache.codes;
+  }
+
+  log.debug("Fetching Splitwise currencies");
+  const response = await fetch(
+    "https://secure.splitwise.com/api/v3.0/get_currencies",
+    {
+      method: "GET",
+      headers: { Authorization: `Bearer ${accessToken}` },
+    }
+  );
+  const data = await response.json();
+
+  // Only a real list is cached, so a failed request is retried next time
+  if (!response.ok || !data.currencies || data.currencies.length === 0) {
+    throw new Error(`Failed to fetch currencies: ${response.statusText}`);
+  }
+
+  currencyCache = {
+    codes: new Set(data.currencies.map((currency) => currency.currency_code)),
+    expiresAt: Date.now() + SPLITWISE_CACHE_TTL,
+  };
+  return currencyCache.codes;
+};
+
+// Same as fetchCurrencies, but returns null instead of failing so amounts can
+// still be entered when the list can't be fetched
+const fetchSupportedCurrencies = async (accessToken) => {
+  try {
+    return await fetchCurrencies(accessToken);
+  } catch (err) {
+    log.error("Error fetching Splitwise currencies:", err);
+    return null;
+  }
+};
+
+// The group's currency, if all of its outstanding balances are in one currency
+const groupCurrency = (group) => {
+  const currencies = new Set();
+  (group.members || []).forEach((member) => {
+    (member.balance || []).forEach((balance) => {
+      if (parseFloat(balance.amount) !== 0) {
+        currencies.add(balance.currency_code);
+      }
+    });
+  });
+  return currencies.size === 1 ? [...currencies][0] : null;
+};
+
+// Works out the currency used when an amount is entered without one: the chat
+// default set with /currency, then the Splitwise group's currency, then the
+// user's default currency on Splitwise
+const resolveDefaultCurrency = async (session) => {
+  if (session.defaultCurrency) return session.defaultCurrency;
+
+  const token = await findToken(session.chatId, session.userId);
+  let currency = token && token.defaultCurrency;
+
+  if (!currency) {
+    try {
+      const accessToken = await loadToken(session.chatId, session.userId);
+      const group = session.groupId
+        ? await fetchGroup(accessToken, session.groupId)
+        : null;
+      currency = group && groupCurrency(group);
+
+      if (!currency) {
+        const user = await fetchCurrentUser(accessToken);
+        currency = user && user.default_currency;
+      }
+    } catch (err) {
+      log.error(
+        `Error resolving default currency for chat ID ${session.chatId}:`,
+        err
+      );
+    }
+  }
+
+  session.defaultCurrency = currency || DEFAULT_CURRENCY;
+  return session.defaultCurrency;
+};
+
+// Builds the request for create_expense and update_expense. A receipt has to be
+// uploaded as multipart form data, everything else is sent as JSON.
+const expenseRequest = (accessToken, payload) => {
+  const { receipt, ...fields } = payload;
+
+  if (!receipt) {
+    return {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(fields),
+    };
+  }
+
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) =>
+    form.append(key, String(value))
+  );
+  form.append("receipt", receipt, "receipt.jpg");
+  return {
+    method: "POST",
+    headers: { Authorization: `Bearer ${accessToken}` },
+    body: form,
+  };
+};
+
+// Downloads a photo sent to the bot, for the receipt field of an expense.
+// Telegram re-encodes photos as JPEG but serves them without a useful type.
+const receiptField = async (fileId) => {
+  if (!fileId) return {};
+
+  const fileLink = await bot.getFileLink(fileId);
+  const response = await fetch(fileLink);
+  const receipt = new Blob([await response.arrayBuffer()], {
+    type: "image/jpeg",
+  });
+  return { receipt };
+};
+
+// Posts an expense to Splitwise without reporting anything in the chat, on behalf
+// of the Telegram user with the given ID. Returns { expense } on success and
+// { error } with Splitwise's message if it was rejected; both are missing if the
+// response made no sense.
+const postExpense = async (accessToken, payload, userId) => {
+  log.debug(`Payload for expense creation: ${JSON.stringify(payload)}`);
+
+  const createExpenseResponse = await fetch(
+    "https://secure.splitwise.com/api/v3.0/create_expense",
+    expenseRequest(accessToken, payload)
+  );
+
+  const expenseData = await createExpenseResponse.json();
+
+  if (
+    expenseData.errors &&
+    Array.isArray(expenseData.errors.base) &&
+    expenseData.errors.base.length > 0
+  ) {
+    const errorMessage = expenseData.errors.base.join(", ");
+    log.error(`Error creating expense: ${errorMessage}`);
+    return { error: errorMessage };
+  }
+
+  if (
+    expenseData.expenses &&
+    Array.isArray(expenseData.expenses) &&
+    expenseData.expenses.length > 0
+  ) {
+    const expense = expenseData.expenses[0];
+    try {
+      await ExpenseCreator.create({
+        expenseId: String(expense.id),
+        userId: String(userId),
+      });
+    } catch (err) {
+      // The expense exists either way, only the record of who created it is lost
+      log.error(`Failed to record who created expense ${expense.id}:`, err);
+    }
+    return { expense };
+  }
+
+  log.error("Unknown error occurred during expense creation.");
+  log.error(`API Response: ${JSON.stringify(expenseData)}`);
+  return {};
+};
+
+// Posts an expense to Splitwise on behalf of a Telegram user and reports the
+// outcome in the chat
+const createExpense = async (
+  chatId,
+  userId,
+  accessToken,
+  payload,
+  successMessage = `Expense created successfully for ${payload.cost} ${payload.currency_code}`
+) => {
+  const { expense, error } = await postExpense(accessToken, payload, userId);
+
+  if (error) {
+    bot.sendMessage(chatId, `Failed to create expense: ${error}`);
+    return null;
+  }
+
+  if (expense) {
+    log.success(`Expense created successfully for chat ID: ${chatId}`);
+
+    // The Undo button isn't tied to a session, so it keeps working after the
+    // flow that created the expense has finished
+    bot.sendMessage(chatId, successMessage, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "Undo", callback_data: `undoExpense_${expense.id}` }],
+        ],
+      },
+    });
+    return expense;
+  }
+
+  bot.sendMessage(chatId, "Failed to create expense. Please try again.");
+  return null;
+};
+
+// Creates an expense split equally between all members of the group
+const submitEqualSplit = async (chatId, session) => {
+  const { groupId, description, amount, currencyCode } = session;
+  const accessToken = await loadToken(chatId, session.userId);
+
+  try {
+    log.debug(
+      `Creating expense for group ID: ${groupId}, description: ${description}, amount: ${amount} ${currencyCode}`
+    );
+
+    // split_equally records the account holder as the payer, so when the sender is
+    // linked to another member the equal split is spelled out with them as the payer
+    const group = await fetchGroup(accessToken, groupId);
+    const payer = linkedMember(group.members, session.userId);
+    let split = { split_equally: true };
+    if (payer) {
+      const memberIds = group.members.map((member) => member.id);
+      split = sharesPayload(
+        memberIds,
+        allocateCents(
+          toCents(amount),
+          memberIds.map(() => 1)
+        ),
+        [{ memberId: payer.id, cents: toCents(amount) }],
+        group.members
+      );
+    }
+
+    await createExpense(chatId, session.userId, accessToken, {
+      cost: amount.toFixed(2),
+      description,
+      currency_code: currencyCode,
+      category_id: session.categoryId || DEFAULT_CATEGORY_ID,
+      group_id: groupId,
+      ...split,
+      ...(await receiptField(session.receiptFileId)),
+    });
+  } catch (err) {
+    log.error(`Error creating expense for group ID ${groupId}:`, err);
+    bot.sendMessage(chatId, "Failed to create expense. Please try again.");
+  } finally {
+    await finishSession(session);
+  }
+};
+
+// Function to fetch the Splitwise user the access token belongs to
+const fetchCurrentUser = async (accessToken) => {
+  const response = await fetch(
+    "https://secure.splitwise.com/api/v3.0/get_current_user",
+    {
+      method: "GET",
+      headers: { Authorization: `Bearer ${accessToken}` },
+    }
+  );
+  const data = await response.json();
+  return data.user;
+};
+
+// Builds the users__N__ fields of an expense from what each member owes and who
+// paid. Everyone who owes or paid something gets one entry in the payload.
+const sharesPayload = (memberIds, owedCents, payers, members = []) => {
+  const shares = new Map();
+  const shareFor = (memberId) => {
+    if (!shares.has(memberId)) shares.set(memberId, { paid: 0, owed: 0 });
+    return shares.get(memberId);
+  };
+  memberIds.forEach((memberId, index) => {
+    shareFor(memberId).owed += owedCents[index];
+  });
+  payers.forEach(({ memberId, cents }) => {
+    shareFor(memberId).paid += cents;
+  });
+
+  const usersPayload = {};
+  [...shares.entries()].forEach(([memberId, { paid, owed }], index) => {
+    const member = members.find((m) => m.id === memberId);
+    if (member) {
+      log.debug(
+        `Member selected: ${member.first_name} ${member.last_name}, Member ID: ${memberId}`
+      );
+    }
+    usersPayload[`users__${index}__user_id`] = memberId;
+    usersPayload[`users__${index}__paid_share`] = formatCents(paid);
+    usersPayload[`users__${index}__owed_share`] = formatCents(owed);
+  });
+  return usersPayload;
+};
+
+// Creates an expense split between the members selected in the session, using the
+// owed shares of an unequal split when one was entered and an equal split otherwise.
+// Whoever was picked in the "Who paid?" step is recorded as the payer, falling back
+// to the member the sender is linked to and then to the linked Splitwise account holder.
+const submitSelectedMembers = async (chatId, session) => {
+  const {
+    groupId,
+    description,
+    amount,
+    currencyCode,
+    selectedMembers,
+    members,
+  } = session;
+  const accessToken = await loadToken(chatId, session.userId);
+
+  try {
+    log.debug(
+      `Creating expense for selected members in group ID: ${groupId} for chat ID: ${chatId}`
+    );
+
+    const owedCents =
+      session.owedCents ||
+      allocateCents(
+        toCents(amount),
+        selectedMembers.map(() => 1)
+      );
+
+    let payers = session.payers;
+    if (!payers) {
+      const payer =
+        linkedMember(members || [], session.userId) ||
+        (await fetchCurrentUser(accessToken));
+      payers = [{ memberId: payer.id, cents: toCents(amount) }];
+    }
+
+    const usersPayload = sharesPayload(
+      selectedMembers,
+      owedCents,
+      payers,
+      members
+    );
+
+    await createExpense(chatId, session.userId, accessToken, {
+      cost: amount.toFixed(2),
+      description,
+      currency_code: currencyCode,
+      category_id: session.categoryId || DEFAULT_CATEGORY_ID,
+      group_id: groupId,
+      ...usersPayload,
+      ...(await receiptField(session.receiptFileId)),
+    });
+  } catch (err) {
+    log.error(`Error creating expense for group ID ${groupId}:`, err);
+    bot.sendMessage(chatId, "Failed to create expense. Please try again.");
+  } finally {
+    await finishSession(session);
+  }
+};
+
+const memberName = (member) =>
+  `${member.first_name || ""} ${member.last_name || ""}`.trim();
+
+// The group member a Telegram user is linked to, if any
+const linkedMember = (members, userId) =>
+  members.find(
+    (member) =>
+      member.telegramUserId && member.telegramUserId === String(userId)
+  );
+
+// Builds a toggleable member list with a submit button, e.g. for picking the
+// members to split with or the people who paid
+const buildMemberButtons = (
+  members,
+  selectedIds,
+  togglePrefix = "toggle_member_",
+  submitData = "submit_selected_members"
+) => {
+  const memberButtons = members.map((member, idx) => [
+    {
+      text: `${member.first_name} ${member.last_name}${
+        member.telegramUsername ? ` (@${member.telegramUsername})` : ""
+      } ${selectedIds.includes(member.id) ? "✅" : ""}`,
+      callback_data: `${togglePrefix}${idx}`,
+    },
+  ]);
+
+  memberButtons.push([{ text: "Submit", callback_data: submitData }]);
+
+  return memberButtons;
+};
+
+// Flips a member in or out of a list of selected member IDs
+const toggleMember = (selectedIds, memberId) => {
+  const selectedIndex = selectedIds.indexOf(memberId);
+  if (selectedIndex > -1) {
+    selectedIds.splice(selectedIndex, 1);
+  } else {
+    selectedIds.push(memberId);
+  }
+};
+
+// Shows the member picker for the members stored in the session
+const sendMemberPicker = async (chatId, session) => {
+  const sentMessage = await bot.sendMessage(
+    chatId,
+    session.splitMode
+      ? `Select members to split the expense with (${SPLIT_MODES[session.splitMode].label.toLowerCase()}):`
+      : "Select members to split the expense with:",
+    {
+      reply_markup: {
+        inline_keyboard: sessionKeyboard(
+          session,
+          buildMemberButtons(session.members, session.selectedMembers)
+        ),
+      },
+    }
+  );
+  session.messageIds.push(sentMessage.message_id);
+};
+
+// Asks for the amounts, percentages or shares of the selected members
+const promptSplitValues = async (chatId, session) => {
+  const names = session.selectedMembers
+    .map((memberId) => {
+      const member = session.members.find((m) => m.id === memberId);
+      return member ? member.first_name : memberId;
+    })
+    .join(", ");
+
+  session.step = "awaiting_split_values";
+  const sentMessage = await bot.sendMessage(
+    chatId,
+    SPLIT_MODES[session.splitMode].prompt(
+      names,
+      `${session.amount.toFixed(2)} ${session.currencyCode}`
+    )
+  );
+  session.messageIds.push(sentMessage.message_id);
+};
+
+// Asks who paid the expense once it is clear who owes what
+const promptPayer = async (chatId, session) => {
+  session.step = "awaiting_payer";
+  const payerButtons = session.members.map((member, idx) => [
+    {
+      text:
+        member === linkedMember(session.members, session.userId)
+          ? `${memberName(member)} (me)`
+          : memberName(member),
+      callback_data: `payer_${idx}`,
+    },
+  ]);
+  payerButtons.push([
+    { text: "Multiple people paid", callback_data: "multiplePayers" },
+  ]);
+
+  const sentMessage = await bot.sendMessage(chatId, "Who paid?", {
+    reply_markup: { inline_keyboard: sessionKeyboard(session, payerButtons) },
+  });
+  session.messageIds.push(sentMessage.message_id);
+};
+
+// Asks how much each of the selected payers paid
+const promptPayerAmounts = async (chatId, session) => {
+  const names = session.selectedPayers
+    .map((memberId) => {
+      const member = session.members.find((m) => m.id === memberId);
+      return member ? member.first_name : memberId;
+    })
+    .join(", ");
+
+  session.step = "awaiting_payer_amounts";
+  const sentMessage = await bot.sendMessage(
+    chatId,
+    `Enter how much ${names} paid in that order (e.g. 30 12.80). The amounts must add up to ${session.amount.toFixed(
+      2
+    )} ${session.currencyCode}.`
+  );
+  session.messageIds.push(sentMessage.message_id);
+};
+
+// Resolves the @mentions of a one-shot expense and creates it between those members.
+// Mentions that don't match a group member fall back to the member picker.
+const splitWithMentions = async (chatId, session) => {
+  const accessToken = await loadToken(chatId, session.userId);
+
+  try {
+    const group = await fetchGroup(accessToken, session.groupId);
+    const { memberIds, unresolved } = resolveMentions(
+      group.members,
+      session.mentions
+    );
+
+    session.members = group.members;
+    session.selectedMembers = memberIds;
+
+    if (unresolved.length === 0) {
+      await submitSelectedMembers(chatId, session);
+      return;
+    }
+
+    log.debug(
+      `Unresolved mentions for chat ID ${chatId}: ${unresolved.join(", ")}`
+    );
+    session.step = "splitEqually";
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      `Couldn't match ${unresolved
+        .map((mention) => `@${mention}`)
+        .join(", ")} to a group member.`
+    );
+    session.messageIds.push(sentMessage.message_id);
+    await sendMemberPicker(chatId, session);
+  } catch (err) {
+    log.error(`Error fetching members for group ID ${session.groupId}:`, err);
+    bot.sendMessage(chatId, "Failed to fetch group members. Please try again.");
+  }
+};
+
+// Works out the shares of a pasted itemized bill, shows the breakdown and asks who
+// paid. Shared items go to everyone mentioned on the bill, or to the whole group
+// if nobody was mentioned.
+const splitItemizedBill = async (chatId, session, text) => {
+  const accessToken = await loadToken(chatId, session.userId);
+  const bill = parseItemizedBill(
+    text,
+    await fetchSupportedCurrencies(accessToken)
+  );
+  if (bill.error) {
+    bot.sendMessage(chatId, bill.error);
+    return;
+  }
+
+  try {
+    const group = await fetchGroup(accessToken, session.groupId);
+    const { unresolved } = resolveMentions(
+      group.members,
+      bill.items.flatMap((item) => item.mentions)
+    );
+    if (unresolved.length > 0) {
+      bot.sendMessage(
+        chatId,
+        `Couldn't match ${unresolved
+          .map((mention) => `@${mention}`)
+          .join(", ")} to a group member. Please paste the items again.`
+      );
+      return;
+    }
+
+    const items = bill.items.map((item) => ({
+      ...item,
+      memberIds: resolveMentions(group.members, item.mentions).memberIds,
+    }));
+    const mentioned = [...new Set(items.flatMap((item) => item.memberIds))];
+    const everyone =
+      mentioned.length > 0
+        ? mentioned
+        : group.members.map((member) => member.id);
+
+    const shares = computeItemizedShares(items, bill.surcharges, everyone);
+    if (shares.totalCents === 0) {
+      bot.sendMessage(chatId, "The bill adds up to nothing. Please try again.");
+      return;
+    }
+
+    session.members = group.members;
+    session.selectedMembers = shares.memberIds;
+    session.owedCents = shares.owedCents;
+    session.amount = shares.totalCents / 100;
+    session.currencyCode =
+      bill.currencyCode || (await resolveDefaultCurrency(session));
+
+    const suggestion = await suggestCategory(chatId, session.description);
+    session.categoryId = suggestion ? suggestion.id : DEFAULT_CATEGORY_ID;
+
+    const surcharges = bill.surcharges
+      .map(({ label, percent }) => ` + ${label} ${percent}%`)
+      .join("");
+    const lines = shares.memberIds.map(
+      (memberId, idx) =>
+        `- ${memberName(memberById(group.members, memberId))}: ${formatCents(
+          shares.owedCents[idx]
+        )} (items ${formatCents(shares.subtotals[idx])})`
+    );
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      `${session.description}: ${formatCents(shares.subtotalCents)}${surcharges} = ${formatCents(
+        shares.totalCents
+      )} ${session.currencyCode}\n\n${lines.join("\n")}`
+    );
+    session.messageIds.push(sentMessage.message_id);
+
+    await promptPayer(chatId, session);
+  } catch (err) {
+    log.error(`Error fetching members for group ID ${session.groupId}:`, err);
+    bot.sendMessage(chatId, "Failed to fetch group members. Please try again.");
+  }
+};
+
+// Shows an amount that had to be computed, e.g. from "45+12.30-5", back to the
+// user before the expense goes ahead
+const promptAmountConfirmation = async (chatId, session) => {
+  session.step = "awaiting_amount_confirmation";
+  const sentMessage = await bot.sendMessage(
+    chatId,
+    `${session.amountInput} = ${session.amount.toFixed(2)} ${
+      session.currencyCode
+    }. Is that right?`,
+    {
+      reply_markup: {
+        inline_keyboard: sessionKeyboard(session, [
+          [
+            { text: "Yes", callback_data: "amountConfirm" },
+            { text: "No, enter it again", callback_data: "amountRetry" },
+          ],
+        ]),
+      },
+    }
+  );
+  session.messageIds.push(sentMessage.message_id);
+};
+
+// Asks for whatever the expense session is still missing, or moves on to the
+// split once description and amount are known
+const continueExpenseFlow = async (chatId, session) => {
+  if (!session.description) {
+    session.step = "awaiting_description";
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      "Please enter a description for the expense:"
+    );
+    session.messageIds.push(sentMessage.message_id);
+    return;
+  }
+
+  if (!session.amount) {
+    session.step = "awaiting_amount";
+    const defaultCurrency = await resolveDefaultCurrency(session);
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      `Please enter the amount for the expense (e.g., 10 USD, 10 or 45+12.30-5, default is ${defaultCurrency}):`
+    );
+    session.messageIds.push(sentMessage.message_id);
+    return;
+  }
+
+  if (session.amountInput) {
+    await promptAmountConfirmation(chatId, session);
+    return;
+  }
+
+  if (!session.categoryId) {
+    session.suggestedCategory = await suggestCategory(
+      chatId,
+      session.description
+    );
+
+    try {
+      await promptCategory(chatId, session, "Pick a category for the expense:");
+      return;
+    } catch (err) {
+      // Not being able to categorize shouldn't stop the expense from being entered
+      log.error(`Error fetching categories for chat ID ${chatId}:`, err);
+      session.categoryId =
+        (session.suggestedCategory && session.suggestedCategory.id) ||
+        DEFAULT_CATEGORY_ID;
+    }
+  }
+
+  if (session.mentions && session.mentions.length > 0) {
+    await splitWithMentions(chatId, session);
+    return;
+  }
+
+  // A one-shot expense without mentions is split equally right away
+  if (session.oneShot) {
+    await submitEqualSplit(chatId, session);
+    return;
+  }
+
+  session.step = "splitEqually";
+  const sentMessage = await bot.sendMessage(chatId, "How should it be split?", {
+    reply_markup: {
+      inline_keyboard: sessionKeyboard(session, [
+        [
+          {
+            text: "Equally between everyone",
+            callback_data: `splitEquallyYes`,
+          },
+        ],
+        [
+          {
+            text: "Equally between some members",
+            callback_data: `splitEquallyNo`,
+          },
+        ],
+        ...Object.entries(SPLIT_MODES).map(([mode, { label }]) => [
+          { text: label, callback_data: `splitMode_${mode}` },
+        ]),
+      ]),
+    },
+  });
+  session.messageIds.push(sentMessage.message_id);
+};
+
+// Starts an expense in the default group, picking up whatever was given up front,
+// e.g. "42.80 EUR Dinner @alice" after /expense or as the caption of a receipt
+const startExpense = async (chatId, userId, text, fields = {}) => {
+  // Retrieve the token and default group from the database
+  const token = await findGroupToken(chatId, userId);
+  if (!token) return;
+
+  const groupId = token.defaultGroupId;
+
+  const supportedCurrencies = text
+    ? await fetchSupportedCurrencies(await loadToken(chatId, userId))
+    : null;
+  const args = text
+    ? parseExpenseArgs(text, supportedCurrencies)
+    : { mentions: [] };
+  log.debug(`Parsed /expense arguments for chat ID ${chatId}:`, args);
+
+  const session = startSession(chatId, userId, {
+    ...fields,
+    step: "awaiting_description",
+    groupId,
+    description: args.description || undefined,
+    amount: args.amount,
+    amountInput: args.amountInput,
+    mentions: args.mentions,
+  });
+  if (session.amount) {
+    session.currencyCode =
+      args.currencyCode || (await resolveDefaultCurrency(session));
+  }
+
+  // Everything is known up front, so the expense is created right away (once a
+  // computed amount is confirmed) and categorized automatically
+  session.oneShot =
+    Boolean(session.description && session.amount) &&
+    session.mentions.length === 0;
+
+  if (session.oneShot) {
+    const suggestion = await suggestCategory(chatId, session.description);
+    session.categoryId = suggestion ? suggestion.id : DEFAULT_CATEGORY_ID;
+  }
+
+  await continueExpenseFlow(chatId, session);
+};
+
+// Steps of the expense flow during which a receipt photo belongs to the new expense
+const RECEIPT_STEPS = [
+  "awaiting_description",
+  "awaiting_amount",
+  "awaiting_amount_confirmation",
+  "awaiting_category",
+  "splitEqually",
+  "awaiting_split_values",
+  "awaiting_payer",
+  "awaiting_payer_amounts",
+];
+
+// Handles a photo sent to the bot as a receipt. It is attached to the expense the
+// user is creating or editing, and its caption fills in a missing description or
+// amount. Otherwise the photo starts a new expense with the caption read like the
+// arguments of /expense.
+const handleReceiptPhoto = async (msg, session) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const fileId = msg.photo[msg.photo.length - 1].file_id;
+  const caption = (msg.caption || "").trim();
+  log.info(
+    `Received receipt photo from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  if (session && session.step === "awaiting_edit_receipt") {
+    try {
+      await submitExpenseEdit(chatId, session, await receiptField(fileId));
+    } catch (err) {
+      log.error(`Error downloading receipt for chat ID ${chatId}:`, err);
+      bot.sendMessage(
+        chatId,
+        "Failed to attach the receipt. Please try again."
+      );
+    }
+    return;
+  }
+
+  if (
+    session &&
+    RECEIPT_STEPS.includes(session.step) &&
+    !session.keyword &&
+    !session.expenseId &&
+    !session.settlement
+  ) {
+    touchSession(session);
+    session.receiptFileId = fileId;
+    session.messageIds.push(msg.message_id);
+
+    if (
+      caption &&
+      ["awaiting_description", "awaiting_amount"].includes(session.step)
+    ) {
+      const args = parseExpenseArgs(
+        caption,
+        await fetchSupportedCurrencies(await loadToken(chatId, userId))
+      );
+      if (!session.description && args.description) {
+        session.description = args.description;
+      }
+      if (!session.amount && args.amount) {
+        session.amount = args.amount;
+        session.amountInput = args.amountInput;
+        session.currencyCode =
+          args.currencyCode || (await resolveDefaultCurrency(session));
+      }
+      if (!session.mentions || session.mentions.length === 0) {
+        session.mentions = args.mentions;
+      }
+      await continueExpenseFlow(chatId, session);
+      return;
+    }
+
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      "Receipt attached to the expense."
+    );
+    session.messageIds.push(sentMessage.message_id);
+    return;
+  }
+
+  // In group chats only photos captioned with an amount are taken as receipts,
+  // so the bot stays out of ordinary photo sharing
+  if (msg.chat.type !== "private" && !parseExpenseArgs(caption, null).amount) {
+    return;
+  }
+
+  await cleanUpSession(chatId, userId);
+  await startExpense(chatId, userId, caption, { receiptFileId: fileId });
+};
+
+bot.onText(/\/login/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /login command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  // Check if the sender already has a linked account in this chat
+  const token = await Token.findOne({
+    where: { chatId, userId: String(userId) },
+  });
+  if (token && token.accessToken) {
+    log.debug(
+      `Account already linked for chat ID: ${chatId}, user ID: ${userId}`
+    );
+    bot.sendMessage(
+      chatId,
+      "You already have an account linked in this chat. Please use /unlink to remove it before logging in with a new one."
+    );
+    return;
+  }
+
+  const state = await createOAuthState(chatId, userId);
+  const authUrl = `https://secure.splitwise.com/oauth/authorize?client_id=${CLIENT_ID}&redirect_uri=${REDIRECT_URI}&response_type=code&state=${state}`;
+
+  log.debug(`Sending login link to chat ID ${chatId}: ${authUrl}`);
+
+  bot
+    .sendMessage(chatId, `Click to log in to Splitwise: ${authUrl}`)
+    .then((sentMessage) => {
+      // The link is only valid for a while, so the message goes away with it
+      const session = startSession(chatId, userId, {
+        loginMessageId: sentMessage.message_id,
+      });
+      session.messageIds.push(sentMessage.message_id);
+      session.expiresAt = Date.now() + OAUTH_STATE_TTL;
+    });
+});
+
+bot.onText(/\/unlink(?:@\w+)?(?:\s+(chat)\b)?/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /unlink command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  if (!(await checkPermission(chatId, userId, "unlink"))) return;
+
+  // "/unlink chat" removes the chat-level account that everyone without their own
+  // link falls back to, which only chat admins may do
+  const chatAccount = Boolean(match[1]) && msg.chat.type !== "private";
+  if (chatAccount && !(await isChatAdmin(chatId, userId))) {
+    bot.sendMessage(chatId, "Only chat admins can unlink the chat's account.");
+    return;
+  }
+
+  // Otherwise only the sender's own link is removed. In a private chat the
+  // chat-level account can only belong to the sender, so it goes too.
+  let where = { chatId, userId: String(userId) };
+  if (msg.chat.type === "private") where = { chatId };
+  if (chatAccount) where = { chatId, userId: null };
+
+  // Check if there's a linked account
+  const token = await Token.findOne({ where });
+  if (!token || !token.accessToken) {
+    log.debug(`No account linked for chat ID: ${chatId}, user ID: ${userId}`);
+    bot.sendMessage(
+      chatId,
+      chatAccount
+        ? "This chat doesn't have an account linked for everyone."
+        : "You don't have an account linked in this chat."
+    );
+    return;
+  }
+
+  // Delete the token record to unlink the account
+  try {
+    await Token.destroy({ where }); // Delete the token entry
+    log.success(`Account unlinked successfully for chat ID: ${chatId}`);
+    bot.sendMessage(
+      chatId,
+      "The account has been unlinked successfully. You can now log in with a new account using /login."
+    );
+  } catch (error) {
+    log.error(`Error unlinking account for chat ID: ${chatId}`, error);
+    bot.sendMessage(chatId, "Failed to unlink the account. Please try again.");
+  }
+});
+
+bot.onText(/\/group/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /group command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  // Retrieve token from the database
+  const accessToken = await loadToken(chatId, userId);
+  if (!accessToken) {
+    log.debug(`No access token found for chat ID: ${chatId}`);
+    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
+    return;
+  }
+
+  try {
+    log.debug(`Fetching groups for chat ID: ${chatId}`);
+    const response = await fetch(
+      "https://secure.splitwise.com/api/v3.0/get_groups",
+      {
+        method: "GET",
+        headers: { Authorization: `Bearer ${accessToken}` },
+      }
+    );
+    const data = await response.json();
+    const groups = data.groups;
+    if (!groups || groups.length === 0) {
+      log.debug(`No groups found for chat ID: ${chatId}`);
+      bot.sendMessage(chatId, "You are not part of any groups.");
+      return;
+    }
+
+    log.debug(
+      `Storing user session for chat ID: ${chatId}, user ID: ${userId}`
+    );
+    const session = startSession(chatId, userId);
+
+    const groupButtons = groups.map((group) => [
+      {
+        text: group.name,
+        callback_data: `group_${group.id}`,
+      },
+    ]);
+    const sentMessage = await bot.sendMessage(chatId, "Here are your groups:", {
+      reply_markup: { inline_keyboard: sessionKeyboard(session, groupButtons) },
+    });
+
+    // Store the message ID
+    session.messageIds.push(sentMessage.message_id);
+
+    setButtonTimeout(session, sentMessage);
+  } catch (err) {
+    log.error(`Error fetching groups for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to fetch groups. Please try again.");
+  }
+});
+
+bot.onText(/\/setgroup/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /setgroup command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  if (!(await checkPermission(chatId, userId, "setgroup"))) return;
+
+  // Retrieve the access token from the database
+  const accessToken = await loadToken(chatId, userId);
+  if (!accessToken) {
+    log.debug(`No access token found for chat ID: ${chatId}`);
+    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
+    return;
+  }
+
+  try {
+    log.debug(`Fetching groups for chat ID: ${chatId}`);
+    const response = await fetch(
+      "https://secure.splitwise.com/api/v3.0/get_groups",
+      {
+        method: "GET",
+        headers: { Authorization: `Bearer ${accessToken}` },
+      }
+    );
+    const data = await response.json();
+    const groups = data.groups;
+
+    if (!groups || groups.length === 0) {
+      log.debug(`No groups found for chat ID: ${chatId}`);
+      bot.sendMessage(chatId, "You are not part of any groups.");
+      return;
+    }
+
+    // Store the user session including the userId and groups
+    const session = startSession(chatId, userId, { groups });
+
+    const groupButtons = groups.map((group) => [
+      {
+        text: group.name,
+        callback_data: `setgroup_${group.id}`,
+      },
+    ]);
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      "Select a group to set as default:",
+      {
+        reply_markup: {
+          inline_keyboard: sessionKeyboard(session, groupButtons),
+        },
+      }
+    );
+
+    // Store the message ID
+    session.messageIds.push(sentMessage.message_id);
+  } catch (err) {
+    log.error(`Error fetching groups for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to fetch groups. Please try again.");
+  }
+});
+
+bot.onText(/^\/expense(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /expense command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  await startExpense(chatId, userId, match[1]);
+});
+
+bot.onText(
+  /^\/itemize(?:@\w+)?(?:[^\S\n]+([^\n]*))?(?:\n([\s\S]*))?$/,
+  async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    log.info(
+      `Received /itemize command from chat ID: ${chatId}, user ID: ${userId}`
+    );
+
+    // Clean up any existing session
+    await cleanUpSession(chatId, userId);
+
+    const token = await findGroupToken(chatId, userId);
+    if (!token) return;
+
+    // "/itemize Dinner at Luigi's" names the expense, the items follow on the next lines
+    const session = startSession(chatId, userId, {
+      step: "awaiting_items",
+      groupId: token.defaultGroupId,
+      description: (match[1] || "").trim() || "Itemized bill",
+    });
+
+    if (match[2] && match[2].trim()) {
+      await splitItemizedBill(chatId, session, match[2]);
+      return;
+    }
+
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      "Paste the items, one per line, with the members sharing each of them (e.g. Pizza 18.00 @alice @bob). Items without mentions are shared by everyone on the bill. Add tax or service charge as percentages, e.g. service 10% and gst 9%, applied in that order."
+    );
+    session.messageIds.push(sentMessage.message_id);
+  }
+);
+
+bot.onText(/^\/recurring(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /recurring command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  const args = (match[1] || "").trim();
+
+  // "/recurring" on its own lists the chat's recurring expenses
+  if (!args || args.toLowerCase() === "list") {
+    // The list stays in the chat, only the buttons expire
+    const session = startSession(chatId, userId, { viewOnly: true });
+    touchSession(session);
+    await showRecurringList(chatId, session);
+    return;
+  }
+
+  const manage = args.match(/^(pause|resume|delete)\s+#?(\d+)$/i);
+  if (manage) {
+    bot.sendMessage(
+      chatId,
+      await manageRecurring(chatId, userId, manage[2], manage[1].toLowerCase())
+    );
+    return;
+  }
+
+  const token = await findGroupToken(chatId, userId);
+  if (!token) return;
+
+  const schedule = parseRecurringSchedule(args);
+  if (schedule.error) {
+    bot.sendMessage(
+      chatId,
+      `${schedule.error} For example: /recurring monthly 1 1200 Rent @alice @bob`
+    );
+    return;
+  }
+
+  try {
+    const accessToken = await loadToken(chatId, userId);
+    const expense = parseExpenseArgs(
+      schedule.rest,
+      await fetchSupportedCurrencies(accessToken)
+    );
+    if (!expense.amount || !expense.description) {
+      bot.sendMessage(
+        chatId,
+        "Give the amount and a description after the schedule, e.g. /recurring weekly fri 15.99 Netflix"
+      );
+      return;
+    }
+
+    if (expense.mentions.length > 0) {
+      const group = await fetchGroup(accessToken, token.defaultGroupId);
+      const { unresolved } = resolveMentions(group.members, expense.mentions);
+      if (unresolved.length > 0) {
+        bot.sendMessage(
+          chatId,
+          `Couldn't match ${unresolved
+            .map((mention) => `@${mention}`)
+            .join(", ")} to a group member.`
+        );
+        return;
+      }
+    }
+
+    const suggestion = await suggestCategory(chatId, expense.description);
+    const recurring = await RecurringExpense.create({
+      chatId: String(chatId),
+      userId: String(userId),
+      groupId: String(token.defaultGroupId),
+      description: expense.description,
+      cost: expense.amount.toFixed(2),
+      currencyCode:
+        expense.currencyCode ||
+        (await resolveDefaultCurrency({
+          chatId,
+          userId,
+          groupId: token.defaultGroupId,
+        })),
+      categoryId: suggestion ? suggestion.id : DEFAULT_CATEGORY_ID,
+      mentions: JSON.stringify(expense.mentions),
+      frequency: schedule.frequency,
+      day: schedule.day,
+      nextRunAt: nextRecurringRun(schedule, new Date()),
+    });
+
+    log.success(
+      `Recurring expense ${recurring.id} created for chat ID: ${chatId}`
+    );
+    bot.sendMessage(
+      chatId,
+      `Added recurring expense ${formatRecurring(recurring)}`
+    );
+  } catch (err) {
+    log.error(`Error creating recurring expense for chat ID ${chatId}:`, err);
+    bot.sendMessage(
+      chatId,
+      "Failed to create the recurring expense. Please try again."
+    );
+  }
+});
+
+bot.onText(/^\/keywords?(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /keyword command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  const args = (match[1] || "").trim().toLowerCase();
+
+  // "/keyword" on its own lists the keyword map of this chat
+  if (!args) {
+    const keywords = await CategoryKeyword.findAll({
+      where: { chatId: String(chatId) },
+      order: [["keyword", "ASC"]],
+    });
+
+    if (keywords.length === 0) {
+      bot.sendMessage(
+        chatId,
+        "No keywords set up yet. Use /keyword <word> to map a word in expense descriptions to a category, or /keyword remove <word> to remove one."
+      );
+      return;
+    }
+
+    const lines = keywords.map(
+      (entry) => `- ${entry.keyword} → ${entry.categoryName}`
+    );
+    bot.sendMessage(chatId, `Category keywords:\n${lines.join("\n")}`);
+    return;
+  }
+
+  if (!(await checkPermission(chatId, userId, "keyword"))) return;
+
+  const removeMatch = args.match(/^remove\s+(.+)$/);
+  if (removeMatch) {
+    const keyword = removeMatch[1].trim();
+    const removed = await CategoryKeyword.destroy({
+      where: { chatId: String(chatId), keyword },
+    });
+    bot.sendMessage(
+      chatId,
+      removed
+        ? `Keyword "${keyword}" removed.`
+        : `There is no keyword "${keyword}".`
+    );
+    return;
+  }
+
+  const accessToken = await loadToken(chatId, userId);
+  if (!accessToken) {
+    log.debug(`No access token found for chat ID: ${chatId}`);
+    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
+    return;
+  }
+
+  const keyword = args.replace(/\s+/g, " ");
+  const session = startSession(chatId, userId, { keyword });
+
+  try {
+    await promptCategory(
+      chatId,
+      session,
+      `Which category should "${keyword}" map to?`
+    );
+  } catch (err) {
+    log.error(`Error fetching categories for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to fetch categories. Please try again.");
+  }
+});
+
+bot.onText(/^\/currency(?:@\w+)?(?:\s+(\S+))?\s*$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /currency command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  const token = await findToken(chatId, userId);
+  if (!token || !token.accessToken) {
+    log.debug(`No access token found for chat ID: ${chatId}`);
+    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
+    return;
+  }
+
+  const arg = (match[1] || "").toUpperCase();
+
+  // "/currency" on its own shows the currency amounts default to
+  if (!arg) {
+    const currency = await resolveDefaultCurrency({
+      chatId,
+      userId,
+      groupId: token.defaultGroupId,
+    });
+    bot.sendMessage(
+      chatId,
+      token.defaultCurrency
+        ? `The default currency for this chat is ${token.defaultCurrency}. Use /currency <code> to change it or /currency reset to go back to the Splitwise default.`
+        : `No default currency is set for this chat, so amounts without a currency use ${currency}. Use /currency <code> to set one.`
+    );
+    return;
+  }
+
+  if (!(await checkPermission(chatId, userId, "currency"))) return;
+
+  try {
+    // The chat's default is kept on every account linked in the chat, so it
+    // applies whoever enters an amount
+    if (arg === "RESET") {
+      await Token.update(
+        { defaultCurrency: null },
+        { where: { chatId: String(chatId) } }
+      );
+      log.success(`Default currency cleared for chat ID: ${chatId}`);
+      bot.sendMessage(
+        chatId,
+        "Default currency cleared. Amounts without a currency will use the Splitwise default."
+      );
+      return;
+    }
+
+    const supportedCurrencies = await fetchCurrencies(
+      await loadToken(chatId, userId)
+    );
+    if (!supportedCurrencies.has(arg)) {
+      log.debug(`Unsupported currency ${arg} for chat ID: ${chatId}`);
+      bot.sendMessage(
+        chatId,
+        `${arg} is not a currency supported by Splitwise.`
+      );
+      return;
+    }
+
+    await Token.update(
+      { defaultCurrency: arg },
+      { where: { chatId: String(chatId) } }
+    );
+    log.success(`Default currency set to ${arg} for chat ID: ${chatId}`);
+    bot.sendMessage(chatId, `Default currency set to ${arg}.`);
+  } catch (error) {
+    log.error(`Error setting default currency for chat ID: ${chatId}`, error);
+    bot.sendMessage(
+      chatId,
+      "Failed to set default currency. Please try again."
+    );
+  }
+});
+
+bot.onText(/^\/settle(?:@\w+)?$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /settle command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  await startSettleFlow(chatId, userId);
+});
+
+bot.onText(/^\/debts(?:@\w+)?$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /debts command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  const token = await findGroupToken(chatId, userId);
+  if (!token) return;
+
+  try {
+    const accessToken = await loadToken(chatId, userId);
+    const group = await fetchGroup(accessToken, token.defaultGroupId);
+    const debts = groupDebts(group);
+
+    if (debts.length === 0) {
+      bot.sendMessage(chatId, `Everyone in ${group.name} is settled up.`);
+      return;
+    }
+
+    // The debts stay in the chat, only the button expires
+    const session = startSession(chatId, userId, {
+      groupId: token.defaultGroupId,
+      viewOnly: true,
+    });
+    touchSession(session);
+    await bot.sendMessage(
+      chatId,
+      `Who owes whom in ${group.name}:\n\n${formatDebts(debts, group.members)}`,
+      {
+        reply_markup: {
+          inline_keyboard: sessionKeyboard(session, [
+            [{ text: "Compute settlement plan", callback_data: "debtsPlan" }],
+          ]),
+        },
+      }
+    );
+  } catch (err) {
+    log.error(`Error fetching debts for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to fetch group debts. Please try again.");
+  }
+});
+
+// Loads the default group for /history and /export and applies their filters,
+// resolving @member filters against the group. Replies and returns null when
+// the user isn't set up or a filter doesn't make sense.
+const loadFilteredGroup = async (chatId, userId, text) => {
+  const token = await findGroupToken(chatId, userId);
+  if (!token) return null;
+
+  const filters = parseHistoryFilters(text);
+  if (filters.invalid) {
+    bot.sendMessage(
+      chatId,
+      `Unknown filter "${filters.invalid}". Use @member, a date range like 2024-01-01..2024-01-31, or category:<name>.`
+    );
+    return null;
+  }
+
+  const accessToken = await loadToken(chatId, userId);
+  const group = await fetchGroup(accessToken, token.defaultGroupId);
+
+  if (filters.mentions.length > 0) {
+    const { memberIds, unresolved } = resolveMentions(
+      group.members,
+      filters.mentions
+    );
+    if (unresolved.length > 0) {
+      bot.sendMessage(
+        chatId,
+        `Couldn't match ${unresolved
+          .map((mention) => `@${mention}`)
+          .join(", ")} to a group member.`
+      );
+      return null;
+    }
+    filters.memberIds = memberIds;
+  }
+
+  return { token, accessToken, group, filters };
+};
+
+bot.onText(/^\/history(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /history command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  try {
+    const scope = await loadFilteredGroup(chatId, userId, match[1] || "");
+    if (!scope) return;
+    const { token, group, filters } = scope;
+
+    // The pages stay in the chat, only the buttons expire
+    const session = startSession(chatId, userId, {
+      groupId: token.defaultGroupId,
+      groupName: group.name,
+      filters,
+      pageOffsets: [0],
+      viewOnly: true,
+    });
+    touchSession(session);
+
+    await showHistoryPage(chatId, session);
+  } catch (err) {
+    log.error(`Error fetching expenses for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to fetch expenses. Please try again.");
+  }
+});
+
+bot.onText(/^\/export(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /export command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  try {
+    // Takes the same filters as /history, e.g. a date range
+    const scope = await loadFilteredGroup(chatId, userId, match[1] || "");
+    if (!scope) return;
+    const { token, accessToken, group, filters } = scope;
+
+    const expenses = await fetchAllExpenses(
+      accessToken,
+      token.defaultGroupId,
+      filters
+    );
+    const fileName = group.name.replace(/[^\w-]+/g, "-").toLowerCase();
+
+    await bot.sendDocument(
+      chatId,
+      Buffer.from(buildExpensesCsv(expenses, group.members)),
+      { caption: `${expenses.length} expense(s) in ${group.name}` },
+      { filename: `${fileName}-expenses.csv`, contentType: "text/csv" }
+    );
+    await bot.sendDocument(
+      chatId,
+      Buffer.from(buildBalancesCsv(group.members)),
+      { caption: `Current balances in ${group.name}` },
+      { filename: `${fileName}-balances.csv`, contentType: "text/csv" }
+    );
+    log.success(
+      `Exported ${expenses.length} expense(s) for chat ID: ${chatId}`
+    );
+  } catch (err) {
+    log.error(`Error exporting expenses for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to export expenses. Please try again.");
+  }
+});
+
+bot.onText(/^\/(edit|delete)(?:@\w+)?(?:\s+#?(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  const action = match[1];
+  log.info(
+    `Received /${action} command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  if (!match[2] || !/^\d+$/.test(match[2])) {
+    bot.sendMessage(
+      chatId,
+      `Usage: /${action} <expense ID>. Use /history to find the ID, or the buttons there.`
+    );
+    return;
+  }
+
+  await startExpenseAction(chatId, userId, match[2], action);
+});
+
+bot.onText(/^\/remind(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /remind command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  const [command = "", ...args] = (match[1] || "").trim().split(/\s+/);
+  const reminder = await Reminder.findOne({
+    where: { chatId: String(chatId) },
+  });
+
+  const token = await findToken(chatId, userId);
+  if (!token || !token.accessToken) {
+    log.debug(`No access token found for chat ID: ${chatId}`);
+    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
+    return;
+  }
+
+  try {
+    const accessToken = await loadToken(chatId, userId);
+    const group = token.defaultGroupId
+      ? await fetchGroup(accessToken, token.defaultGroupId)
+      : null;
+
+    const action = command.toLowerCase();
+
+    if (!action) {
+      bot.sendMessage(
+        chatId,
+        formatReminder(reminder, group ? group.members : [])
+      );
+      return;
+    }
+
+    // Anyone may mute or unmute themselves
+    const selfMute =
+      (action === "mute" || action === "unmute") &&
+      !args.some((arg) => arg.startsWith("@") && arg.length > 1);
+    if (!selfMute && !(await checkPermission(chatId, userId, "remind"))) {
+      return;
+    }
+
+    // "/remind on fri 18" sends reminders every Friday at 18:00
+    if (action === "on") {
+      const day = parseWeekday(args[0]);
+      const hour =
+        args[1] === undefined
+          ? REMINDER_DEFAULT_HOUR
+          : /^\d{1,2}$/.test(args[1])
+            ? parseInt(args[1], 10)
+            : NaN;
+      if (day === -1 || !(hour >= 0 && hour <= 23)) {
+        bot.sendMessage(
+          chatId,
+          "Usage: /remind on <weekday> [hour], e.g. /remind on fri 18"
+        );
+        return;
+      }
+
+      const fields = {
+        userId: String(userId),
+        enabled: true,
+        day,
+        hour,
+        nextRunAt: nextReminderRun({ day, hour }, new Date()),
+      };
+      const saved = reminder
+        ? await reminder.update(fields)
+        : await Reminder.create({ chatId: String(chatId), ...fields });
+      log.success(`Reminders turned on for chat ID: ${chatId}`);
+      bot.sendMessage(
+        chatId,
+        formatReminder(saved, group ? group.members : [])
+      );
+      return;
+    }
+
+    if (action === "now" && reminder) {
+      if (!(await sendReminder(reminder))) {
+        bot.sendMessage(chatId, "Nobody owes more than the threshold.");
+      }
+      return;
+    }
+
+    if (!reminder || !reminder.enabled) {
+      bot.sendMessage(
+        chatId,
+        "Debt reminders are off. Turn them on first with e.g. /remind on fri 18."
+      );
+      return;
+    }
+
+    if (action === "off") {
+      await reminder.update({ enabled: false });
+      log.success(`Reminders turned off for chat ID: ${chatId}`);
+      bot.sendMessage(chatId, "Debt reminders are off.");
+      return;
+    }
+
+    // Only debts above the threshold are mentioned, in each currency
+    if (action === "threshold") {
+      const parsed = parseAmount(args[0] || "");
+      // There is nothing to confirm a worked out amount with, so only plain
+      // numbers are taken
+      if (parsed.error || parsed.computed) {
+        bot.sendMessage(
+          chatId,
+          "Usage: /remind threshold <amount>, e.g. /remind threshold 20"
+        );
+        return;
+      }
+      await reminder.update({ threshold: parsed.amount.toFixed(2) });
+      bot.sendMessage(
+        chatId,
+        `Reminders now mention debts above ${reminder.threshold}.`
+      );
+      return;
+    }
+
+    // "/remind quiet 22-8" holds reminders back between 22:00 and 08:00
+    if (action === "quiet") {
+      if ((args[0] || "").toLowerCase() === "off") {
+        await reminder.update({ quietStart: null, quietEnd: null });
+        bot.sendMessage(chatId, "Quiet hours are off.");
+        return;
+      }
+
+      const hours = (args[0] || "").match(/^(\d{1,2})-(\d{1,2})$/);
+      const [quietStart, quietEnd] = hours
+        ? [parseInt(hours[1], 10), parseInt(hours[2], 10)]
+        : [];
+      if (
+        !hours ||
+        quietStart > 23 ||
+        quietEnd > 23 ||
+        quietStart === quietEnd
+      ) {
+        bot.sendMessage(
+          chatId,
+          "Usage: /remind quiet <from>-<to> in hours, e.g. /remind quiet 22-8, or /remind quiet off"
+        );
+        return;
+      }
+      await reminder.update({ quietStart, quietEnd });
+      bot.sendMessage(
+        chatId,
+        `No reminders between ${formatHour(quietStart)} and ${formatHour(
+          quietEnd
+        )}.`
+      );
+      return;
+    }
+
+    // "/remind mute @alice" leaves Alice out of reminders; without a mention it
+    // mutes the member the sender is linked to, or else the account they act as
+    if (action === "mute" || action === "unmute") {
+      let memberIds;
+      const mentions = args
+        .filter((arg) => arg.startsWith("@") && arg.length > 1)
+        .map((arg) => arg.slice(1));
+
+      if (mentions.length > 0) {
+        if (!group) {
+          bot.sendMessage(
+            chatId,
+            "No default group is set. Please use /setgroup first."
+          );
+          return;
+        }
+        const resolved = resolveMentions(group.members, mentions);
+        if (resolved.unresolved.length > 0) {
+          bot.sendMessage(
+            chatId,
+            `Couldn't match ${resolved.unresolved
+              .map((mention) => `@${mention}`)
+              .join(", ")} to a group member.`
+          );
+          return;
+        }
+        memberIds = resolved.memberIds;
+      } else {
+        const self =
+          (group && linkedMember(group.members, userId)) ||
+          (await fetchCurrentUser(accessToken));
+        memberIds = [self.id];
+      }
+
+      const muted = JSON.parse(reminder.mutedMembers).filter(
+        (memberId) => !memberIds.includes(memberId)
+      );
+      if (action === "mute") muted.push(...memberIds);
+      await reminder.update({ mutedMembers: JSON.stringify(muted) });
+      bot.sendMessage(
+        chatId,
+        formatReminder(reminder, group ? group.members : [])
+      );
+      return;
+    }
+
+    bot.sendMessage(
+      chatId,
+      "Usage: /remind [on <weekday> [hour] | off | now | threshold <amount> | quiet <from>-<to> | mute [@member] | unmute [@member]]"
+    );
+  } catch (err) {
+    log.error(`Error updating reminders for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to update reminders. Please try again.");
+  }
+});
+
+bot.onText(/^\/whoami(?:@\w+)?$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /whoami command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  await startMemberLink(chatId, userId, telegramUser(msg.from));
+});
+
+// Links the sender, or whoever wrote the message /linkmember replies to, to a member
+// of the default group
+bot.onText(/^\/linkmember(?:@\w+)?$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /linkmember command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  if (!(await checkPermission(chatId, userId, "linkmember"))) return;
+
+  const reply = msg.reply_to_message;
+  if (reply && (!reply.from || reply.from.is_bot)) {
+    bot.sendMessage(
+      chatId,
+      "Reply to a message from the person you want to link."
+    );
+    return;
+  }
+
+  await startMemberLink(
+    chatId,
+    userId,
+    telegramUser(reply ? reply.from : msg.from),
+    true
+  );
+});
+
+bot.onText(/^\/permissions(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(
+    `Received /permissions command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  const [command = "", ...args] = (match[1] || "").trim().split(/\s+/);
+  const action = command.toLowerCase();
+
+  try {
+    const restricted = await loadRestrictedCommands(chatId);
+
+    if (!action) {
+      bot.sendMessage(chatId, formatPermissions(restricted));
+      return;
+    }
+
+    if (!["restrict", "allow", "reset"].includes(action)) {
+      bot.sendMessage(
+        chatId,
+        "Usage: /permissions [restrict <command> | allow <command> | reset]"
+      );
+      return;
+    }
+
+    if (!(await isChatAdmin(chatId, userId))) {
+      bot.sendMessage(chatId, "Only chat admins can change permissions.");
+      return;
+    }
+
+    let updated = DEFAULT_RESTRICTED_COMMANDS;
+    if (action !== "reset") {
+      const commands = args.map((arg) =>
+        arg.replace(/^\//, "").replace(/@\w+$/, "").toLowerCase()
+      );
+      const unknown = commands.filter(
+        (name) => !RESTRICTABLE_COMMANDS.includes(name)
+      );
+      if (commands.length === 0 || unknown.length > 0) {
+        bot.sendMessage(
+          chatId,
+          `${
+            unknown.length > 0
+              ? `/${unknown.join(", /")} can't be restricted. `
+              : ""
+          }Commands that can be restricted: ${RESTRICTABLE_COMMANDS.map(
+            (name) => `/${name}`
+          ).join(", ")}`
+        );
+        return;
+      }
+
+      updated =
+        action === "restrict"
+          ? RESTRICTABLE_COMMANDS.filter(
+              (name) => restricted.includes(name) || commands.includes(name)
+            )
+          : restricted.filter((name) => !commands.includes(name));
+    }
+
+    const [permission] = await ChatPermission.findOrCreate({
+      where: { chatId: String(chatId) },
+      defaults: { restrictedCommands: JSON.stringify(updated) },
+    });
+    await permission.update({ restrictedCommands: JSON.stringify(updated) });
+    log.success(`Permissions updated for chat ID: ${chatId}`);
+    bot.sendMessage(chatId, formatPermissions(updated));
+  } catch (err) {
+    log.error(`Error updating permissions for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to update permissions. Please try again.");
+  }
+});
+
+bot.onText(/\/balance/, async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+
+  log.info(
+    `Received /balance command from chat ID: ${chatId}, user ID: ${userId}`
+  );
+
+  // Clean up any existing session
+  await cleanUpSession(chatId, userId);
+
+  // Retrieve the access token from the database
+  const accessToken = await loadToken(chatId, userId);
+  if (!accessToken) {
+    log.debug(`No access token found for chat ID: ${chatId}`);
+    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
+    return;
+  }
+
+  try {
+    const token = await findToken(chatId, userId);
+    if (!token || !token.defaultGroupId) {
+      log.debug(`No default group set for chat ID: ${chatId}`);
+      bot.sendMessage(
+        chatId,
+        "No default group is set. Please use /setgroup first."
+      );
+      return;
+    }
+
+    const groupId = token.defaultGroupId;
+
+    log.debug(`Fetching group details for group ID: ${groupId}`);
+    const groupResponse = await fetch(
+      `https://secure.splitwise.com/api/v3.0/get_group/${groupId}`,
+      {
+        method: "GET",
+        headers: { Authorization: `Bearer ${accessToken}` },
+      }
+    );
+
+    const groupData = await groupResponse.json();
+    const group = groupData.group;
+
+    let groupInfo = `*Group Name*: ${group.name}\n`;
+    groupInfo += `*Group Members and Balances*:\n`;
+
+    group.members.forEach((member) => {
+      const firstName = member.first_name || '';
+      const lastName = member.last_name || '';
+
+      let balanceAmount = '0.00';
+      let balanceCurrency = '';
+      if (member.balance && member.balance.length > 0 && member.balance[0]) {
+        balanceAmount = member.balance[0].amount || '0.00';
+        balanceCurrency = member.balance[0].currency_code || '';
+      }
+
+      let memberInfo = `- ${firstName} ${lastName}`;
+      if (balanceCurrency) {
+        memberInfo += ` (Balance: ${balanceAmount} ${balanceCurrency})`;
+      } else {
+        memberInfo += ` (Balance: ${balanceAmount})`;
+      }
+      groupInfo += `${memberInfo}\n`;
+    });
+
+    bot.sendMessage(chatId, groupInfo, { parse_mode: "Markdown" });
+
+  } catch (err) {
+    log.error(
+      `Error fetching group details for chat ID ${chatId}:`,
+      err
+    );
+    bot.sendMessage(
+      chatId,
+      "Failed to fetch group details. Please try again."
+    );
+  }
+});
+
+// Outstanding debts of a group, simplified if the group simplifies debts
+const groupDebts = (group) =>
+  (group.simplify_by_default ? group.simplified_debts : group.original_debts) ||
+  [];
+
+const memberById = (members, memberId) =>
+  members.find((member) => member.id === memberId);
+
+// Formats debts as "Alice → Bob: 12.40 SGD" lines, grouped by currency
+const formatDebts = (debts, members) => {
+  const nameOf = (memberId) => {
+    const member = memberById(members, memberId);
+    return member ? memberName(member) : String(memberId);
+  };
+
+  const byCurrency = {};
+  debts.forEach((debt) => {
+    if (!byCurrency[debt.currency_code]) byCurrency[debt.currency_code] = [];
+    byCurrency[debt.currency_code].push(debt);
+  });
+
+  return Object.keys(byCurrency)
+    .sort()
+    .map(
+      (currency) =>
+        `${currency}:\n` +
+        byCurrency[currency]
+          .map(
+            (debt) =>
+              `${nameOf(debt.from)} → ${nameOf(debt.to)}: ${parseFloat(
+                debt.amount
+              ).toFixed(2)} ${currency}`
+          )
+          .join("\n")
+    )
+    .join("\n\n");
+};
+
+// Works out who should pay whom from the members' balances, one currency at a
+// time, by repeatedly settling the largest debt against the largest credit.
+// This needs at most one transfer fewer than the number of people involved.
+const computeSettlementPlan = (members) => {
+  const balancesByCurrency = {};
+  members.forEach((member) => {
+    (member.balance || []).forEach((balance) => {
+      const cents = toCents(parseFloat(balance.amount));
+      if (cents === 0) return;
+      if (!balancesByCurrency[balance.currency_code]) {
+        balancesByCurrency[balance.currency_code] = [];
+      }
+      balancesByCurrency[balance.currency_code].push({
+        memberId: member.id,
+        cents,
+      });
+    });
+  });
+
+  const plan = [];
+  Object.entries(balancesByCurrency).forEach(([currency, balances]) => {
+    const debtors = balances
+      .filter((b) => b.cents < 0)
+      .map((b) => ({ ...b, cents: -b.cents }));
+    const creditors = balances.filter((b) => b.cents > 0);
+
+    while (debtors.length > 0 && creditors.length > 0) {
+      debtors.sort((a, b) => b.cents - a.cents || a.memberId - b.memberId);
+      creditors.sort((a, b) => b.cents - a.cents || a.memberId - b.memberId);
+
+      const debtor = debtors[0];
+      const creditor = creditors[0];
+      const cents = Math.min(debtor.cents, creditor.cents);
+
+      plan.push({
+        from: debtor.memberId,
+        to: creditor.memberId,
+        amount: formatCents(cents),
+        currency_code: currency,
+      });
+
+      debtor.cents -= cents;
+      creditor.cents -= cents;
+      if (debtor.cents === 0) debtors.shift();
+      if (creditor.cents === 0) creditors.shift();
+    }
+  });
+
+  return plan;
+};
+
+const HISTORY_PAGE_SIZE = 5;
+const HISTORY_BATCH_SIZE = 20;
+
+// The YYYY-MM-DD date of the day after a YYYY-MM-DD date, or null if it isn't a
+// real date
+const dayAfter = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  if (isNaN(next.getTime())) return null;
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+};
+
+// Parses /history filters: "@alice" for a member, "2024-01-01..2024-01-31" (either
+// end may be left out) for a date range and "category:food" for a category
+const parseHistoryFilters = (args) => {
+  const filters = { mentions: [] };
+
+  args
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((token) => {
+      const dateRange = token.match(
+        /^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/
+      );
+      if (token.startsWith("@") && token.length > 1) {
+        filters.mentions.push(token.slice(1));
+      } else if (dateRange && dateRange[2] && !dayAfter(dateRange[2])) {
+        filters.invalid = token;
+      } else if (dateRange) {
+        filters.datedAfter = dateRange[1];
+        // dated_before is exclusive, so the range runs up to the start of the day
+        // after its last one
+        filters.datedBefore = dateRange[2] && dayAfter(dateRange[2]);
+      } else if (/^category:/i.test(token)) {
+        filters.category = token.slice("category:".length).toLowerCase();
+      } else {
+        filters.invalid = token;
+      }
+    });
+
+  return filters;
+};
+
+// Function to fetch a batch of expenses of a group from Splitwise
+const fetchExpenses = async (accessToken, params) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined)
+  );
+  const response = await fetch(
+    `https://secure.splitwise.com/api/v3.0/get_expenses?${query}`,
+    {
+      method: "GET",
+      headers: { Authorization: `Bearer ${accessToken}` },
+    }
+  );
+  const data = await response.json();
+  return data.expenses || [];
+};
+
+// Whether an expense passes the member and category filters of /history
+const matchesHistoryFilters = (expense, filters) => {
+  if (expense.deleted_at) return false;
+
+  if (
+    filters.memberIds &&
+    filters.memberIds.length > 0 &&
+    !(expense.users || []).some((user) =>
+      filters.memberIds.includes(user.user_id)
+    )
+  ) {
+    return false;
+  }
+
+  if (
+    filters.category &&
+    !((expense.category && expense.category.name) || "")
+      .toLowerCase()
+      .includes(filters.category)
+  ) {
+    return false;
+  }
+
+  return true;
+};
+
+// Fetches one page of matching expenses starting at a Splitwise offset. Member
+// and category filters are applied here, so it may need several batches to fill
+// a page; it looks one match ahead to know whether an older page exists.
+const fetchHistoryPage = async (accessToken, session, offset) => {
+  const { groupId, filters } = session;
+  const expenses = [];
+  let position = offset;
+  let nextOffset = offset;
+  let exhausted = false;
+
+  while (expenses.length <= HISTORY_PAGE_SIZE && !exhausted) {
+    const batch = await fetchExpenses(accessToken, {
+      group_id: groupId,
+      limit: HISTORY_BATCH_SIZE,
+      offset: position,
+      dated_after: filters.datedAfter,
+      dated_before: filters.datedBefore,
+    });
+    exhausted = batch.length < HISTORY_BATCH_SIZE;
+
+    for (const expense of batch) {
+      position += 1;
+      if (!matchesHistoryFilters(expense, filters)) continue;
+
+      expenses.push(expense);
+      if (expenses.length === HISTORY_PAGE_SIZE) nextOffset = position;
+      if (expenses.length > HISTORY_PAGE_SIZE) break;
+    }
+  }
+
+  return {
+    expenses: expenses.slice(0, HISTORY_PAGE_SIZE),
+    nextOffset,
+    hasMore: expenses.length > HISTORY_PAGE_SIZE,
+  };
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+// Formats an expense for /history with its amount, payer, split and date
+const formatExpense = (expense) => {
+  const date = formatDate(expense.date);
+  const nameOf = (user) =>
+    user.user ? user.user.first_name : String(user.user_id);
+  const users = expense.users || [];
+
+  const payers = users
+    .filter((user) => parseFloat(user.paid_share) > 0)
+    .map((user) => nameOf(user));
+  const split = users
+    .filter((user) => parseFloat(user.owed_share) > 0)
+    .map((user) => `${nameOf(user)} ${user.owed_share}`);
+
+  return [
+    `#${expense.id} · ${date} · ${expense.description} — ${expense.cost} ${
+      expense.currency_code
+    }`,
+    `  Paid by ${payers.join(", ") || "nobody"} · Split: ${
+      split.join(", ") || "nobody"
+    }`,
+    expense.category ? `  Category: ${expense.category.name}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
+
+// Renders the current /history page, sending it or editing the shown page in place
+const showHistoryPage = async (chatId, session, messageId = null) => {
+  const accessToken = await loadToken(chatId, session.userId);
+  const offset = session.pageOffsets[session.pageOffsets.length - 1];
+  const { expenses, nextOffset, hasMore } = await fetchHistoryPage(
+    accessToken,
+    session,
+    offset
+  );
+  session.nextOffset = nextOffset;
+
+  const text =
+    expenses.length > 0
+      ? `Expenses in ${session.groupName} (page ${
+          session.pageOffsets.length
+        }):\n\n${expenses.map(formatExpense).join("\n\n")}`
+      : `No matching expenses in ${session.groupName}.`;
+
+  const keyboard = expenses.map((expense) => [
+    { text: `Edit #${expense.id}`, callback_data: `historyEdit_${expense.id}` },
+    {
+      text: `Delete #${expense.id}`,
+      callback_data: `historyDelete_${expense.id}`,
+    },
+  ]);
+
+  const navigation = [];
+  if (session.pageOffsets.length > 1) {
+    navigation.push({ text: "« Newer", callback_data: "historyNewer" });
+  }
+  if (hasMore) {
+    navigation.push({ text: "Older »", callback_data: "historyOlder" });
+  }
+  const options = {
+    reply_markup: {
+      inline_keyboard: sessionKeyboard(
+        session,
+        navigation.length > 0 ? [...keyboard, navigation] : keyboard
+      ),
+    },
+  };
+
+  if (messageId) {
+    await bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: messageId,
+      ...options,
+    });
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+};
+
+const EXPORT_BATCH_SIZE = 100;
+
+// Quotes a CSV field when it contains a separator, quote or line break
+const csvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Spreadsheet apps would run a field starting like this as a formula, but
+  // negative amounts have to stay numbers
+  if (/^[=+\-@]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) =>
+  rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+
+// Fetches every expense of a group matching the /history filters, oldest first
+const fetchAllExpenses = async (accessToken, groupId, filters) => {
+  const expenses = [];
+
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const batch = await fetchExpenses(accessToken, {
+      group_id: groupId,
+      limit: EXPORT_BATCH_SIZE,
+      offset,
+      dated_after: filters.datedAfter,
+      dated_before: filters.datedBefore,
+    });
+    expenses.push(
+      ...batch.filter((expense) => matchesHistoryFilters(expense, filters))
+    );
+    if (batch.length < EXPORT_BATCH_SIZE) break;
+  }
+
+  return expenses.reverse();
+};
+
+// Builds the expenses CSV: one row per expense with its date, description,
+// category, cost, currency and payers, then what each member owes. Former
+// members who still appear on expenses get a column too.
+const buildExpensesCsv = (expenses, members) => {
+  const columns = new Map(
+    members.map((member) => [member.id, memberName(member)])
+  );
+  expenses.forEach((expense) =>
+    (expense.users || []).forEach((user) => {
+      if (!columns.has(user.user_id)) {
+        columns.set(
+          user.user_id,
+          user.user ? memberName(user.user) : String(user.user_id)
+        );
+      }
+    })
+  );
+
+  const rows = expenses.map((expense) => {
+    const users = expense.users || [];
+    const payers = users.filter((user) => parseFloat(user.paid_share) > 0);
+    const nameOf = (user) => columns.get(user.user_id);
+
+    return [
+      expense.date.slice(0, 10),
+      expense.description,
+      expense.payment
+        ? "Payment"
+        : expense.category
+          ? expense.category.name
+          : "",
+      expense.cost,
+      expense.currency_code,
+      payers.length === 1
+        ? nameOf(payers[0])
+        : payers.map((user) => `${nameOf(user)} ${user.paid_share}`).join("; "),
+      ...[...columns.keys()].map((memberId) => {
+        const user = users.find((u) => u.user_id === memberId);
+        return user ? user.owed_share : "0.00";
+      }),
+    ];
+  });
+
+  return toCsv([
+    [
+      "Date",
+      "Description",
+      "Category",
+      "Cost",
+      "Currency",
+      "Paid by",
+      ...columns.values(),
+    ],
+    ...rows,
+  ]);
+};
+
+// Builds the balances CSV: what each member is owed (positive) or owes
+// (negative), per currency
+const buildBalancesCsv = (members) => {
+  const rows = [];
+  members.forEach((member) =>
+    (member.balance || []).forEach((balance) => {
+      rows.push([
+        memberName(member),
+        balance.currency_code,
+        parseFloat(balance.amount).toFixed(2),
+      ]);
+    })
+  );
+  return toCsv([["Member", "Currency", "Balance"], ...rows]);
+};
+
+const IMPORT_MAX_ROWS = 200;
+const IMPORT_PREVIEW_ROWS = 20;
+
+// Column names accepted in an imported CSV, by the field they fill in
+const IMPORT_COLUMNS = {
+  description: ["description"],
+  amount: ["amount", "cost"],
+  currency: ["currency"],
+  date: ["date"],
+  payer: ["payer", "paid by"],
+  participants: ["participants", "split", "members"],
+};
+
+// Parses CSV text into rows of fields, handling quoted fields with commas,
+// doubled quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Checks the rows of an imported CSV against the group. Payers and participants
+// are matched like @mentions; a missing payer is the importing account and
+// missing participants mean everyone in the group. Returns { entries, errors }
+// with the rows that can be posted and a message per row that can't, or
+// { error } if the file itself is unusable.
+const validateImportRows = (
+  rows,
+  members,
+  supportedCurrencies,
+  defaultCurrency,
+  defaultPayerId
+) => {
+  const [header = [], ...dataRows] = rows;
+  const columnOf = (field) =>
+    header.findIndex((name) =>
+      IMPORT_COLUMNS[field].includes(name.trim().toLowerCase())
+    );
+  const columns = Object.fromEntries(
+    Object.keys(IMPORT_COLUMNS).map((field) => [field, columnOf(field)])
+  );
+
+  if (columns.description === -1 || columns.amount === -1) {
+    return {
+      error:
+        "The CSV needs a header row with at least description and amount columns.",
+    };
+  }
+  const isBlank = (fields) => fields.every((value) => value.trim() === "");
+  const rowCount = dataRows.filter((fields) => !isBlank(fields)).length;
+  if (rowCount === 0) return { error: "The CSV has no rows." };
+  if (rowCount > IMPORT_MAX_ROWS) {
+    return { error: `Please import at most ${IMPORT_MAX_ROWS} rows at once.` };
+  }
+
+  const entries = [];
+  const errors = [];
+
+  dataRows.forEach((fields, idx) => {
+    if (isBlank(fields)) return;
+
+    // Row numbers as seen in a spreadsheet, counting the header
+    const row = idx + 2;
+    const value = (field) =>
+      columns[field] === -1 ? "" : (fields[columns[field]] || "").trim();
+    const rowErrors = [];
+
+    const description = value("description");
+    if (!description) rowErrors.push("missing description");
+
+    // The amount may carry its own currency code, e.g. "12.50 EUR"
+    const parsed = parseAmount(value("amount"), supportedCurrencies);
+    if (parsed.error) rowErrors.push(`invalid amount "${value("amount")}"`);
+
+    const currencyCode = value("currency").toUpperCase() || parsed.currencyCode;
+    if (
+      currencyCode &&
+      (!/^[A-Z]{3}$/.test(currencyCode) ||
+        (supportedCurrencies && !supportedCurrencies.has(currencyCode)))
+    ) {
+      rowErrors.push(`unsupported currency "${currencyCode}"`);
+    }
+
+    const date = value("date");
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      rowErrors.push(`invalid date "${date}", use YYYY-MM-DD`);
+    } else if (
+      date &&
+      (isNaN(new Date(date).getTime()) ||
+        // Out of range days like 2024-02-30 roll over into the next month
+        new Date(date).toISOString().slice(0, 10) !== date)
+    ) {
+      rowErrors.push(`invalid date "${date}"`);
+    }
+
+    let payerId = defaultPayerId;
+    if (value("payer")) {
+      const { memberIds } = resolveMentions(members, [
+        value("payer").replace(/^@/, ""),
+      ]);
+      if (memberIds.length === 0) {
+        rowErrors.push(`unknown payer "${value("payer")}"`);
+      }
+      payerId = memberIds[0];
+    }
+
+    let participantIds = members.map((member) => member.id);
+    const participants = value("participants")
+      .split(/[;,]|\s+(?=@)/)
+      .map((name) => name.trim().replace(/^@/, ""))
+      .filter(Boolean);
+    if (participants.length > 0) {
+      const { memberIds, unresolved } = resolveMentions(members, participants);
+      if (unresolved.length > 0) {
+        rowErrors.push(`unknown participant(s) ${unresolved.join(", ")}`);
+      }
+      participantIds = memberIds;
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(`Row ${row}: ${rowErrors.join("; ")}`);
+      return;
+    }
+
+    entries.push({
+      row,
+      description,
+      cents: toCents(parsed.amount),
+      currencyCode: currencyCode || defaultCurrency,
+      date: date || undefined,
+      payerId,
+      participantIds,
+    });
+  });
+
+  return { entries, errors };
+};
+
+// Describes an import row for the preview
+const formatImportEntry = (entry, members) => {
+  const nameOf = (memberId) => {
+    const member = memberById(members, memberId);
+    return member ? memberName(member) : String(memberId);
+  };
+  return `Row ${entry.row}: ${entry.description} — ${formatCents(
+    entry.cents
+  )} ${entry.currencyCode}${entry.date ? `, ${entry.date}` : ""}, paid by ${nameOf(
+    entry.payerId
+  )}, split between ${entry.participantIds.map(nameOf).join(", ")}`;
+};
+
+// Reads a CSV document sent to the bot, validates it against the default group
+// and shows a preview with buttons to import the valid rows
+const handleCsvImport = async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  log.info(`Received CSV import from chat ID: ${chatId}, user ID: ${userId}`);
+
+  await cleanUpSession(chatId, userId);
+
+  const token = await findGroupToken(chatId, userId);
+  if (!token) return;
+
+  try {
+    const accessToken = await loadToken(chatId, userId);
+    const fileLink = await bot.getFileLink(msg.document.file_id);
+    const text = await (await fetch(fileLink)).text();
+
+    const group = await fetchGroup(accessToken, token.defaultGroupId);
+    const currentUser = await fetchCurrentUser(accessToken);
+    const session = startSession(chatId, userId, {
+      groupId: token.defaultGroupId,
+      members: group.members,
+    });
+
+    const result = validateImportRows(
+      // Spreadsheet apps often start the file with a byte order mark
+      parseCsv(text.replace(/^\uFEFF/, "")),
+      group.members,
+      await fetchSupportedCurrencies(accessToken),
+      await resolveDefaultCurrency(session),
+      currentUser.id
+    );
+    if (result.error) {
+      await finishSession(session);
+      bot.sendMessage(chatId, result.error);
+      return;
+    }
+
+    session.importEntries = result.entries;
+    session.importErrors = result.errors;
+
+    const preview = result.entries
+      .slice(0, IMPORT_PREVIEW_ROWS)
+      .map((entry) => formatImportEntry(entry, group.members));
+    if (result.entries.length > IMPORT_PREVIEW_ROWS) {
+      preview.push(`…and ${result.entries.length - IMPORT_PREVIEW_ROWS} more`);
+    }
+
+    const sections = [
+      `${result.entries.length} row(s) ready to import into ${group.name}:`,
+      preview.join("\n"),
+    ];
+    if (result.errors.length > 0) {
+      sections.push(
+        `${result.errors.length} row(s) will be skipped:\n${result.errors
+          .slice(0, IMPORT_PREVIEW_ROWS)
+          .join("\n")}`
+      );
+    }
+
+    const buttons = [[{ text: "Cancel", callback_data: "importCancel" }]];
+    if (result.entries.length > 0) {
+      buttons.unshift([
+        {
+          text: `Import ${result.entries.length} row(s)`,
+          callback_data: "importConfirm",
+        },
+      ]);
+    }
+
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      sections.join("\n\n").slice(0, 4000),
+      { reply_markup: { inline_keyboard: sessionKeyboard(session, buttons) } }
+    );
+    session.messageIds.push(sentMessage.message_id);
+  } catch (err) {
+    log.error(`Error reading CSV import for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to read the CSV file. Please try again.");
+  }
+};
+
+// Posts the validated rows of an import one by one and reports which of them
+// were created and which failed
+const submitImport = async (chatId, session) => {
+  const accessToken = await loadToken(chatId, session.userId);
+  const failed = [...session.importErrors];
+  let created = 0;
+
+  for (const entry of session.importEntries) {
+    const suggestion = await suggestCategory(chatId, entry.description);
+    const payload = {
+      cost: formatCents(entry.cents),
+      description: entry.description,
+      currency_code: entry.currencyCode,
+      category_id: suggestion ? suggestion.id : DEFAULT_CATEGORY_ID,
+      group_id: session.groupId,
+      date: entry.date,
+      ...sharesPayload(
+        entry.participantIds,
+        allocateCents(
+          entry.cents,
+          entry.participantIds.map(() => 1)
+        ),
+        [{ memberId: entry.payerId, cents: entry.cents }],
+        session.members
+      ),
+    };
+
+    try {
+      const { expense, error } = await postExpense(
+        accessToken,
+        payload,
+        session.userId
+      );
+      if (expense) {
+        created += 1;
+      } else {
+        failed.push(`Row ${entry.row}: ${error || "unknown error"}`);
+      }
+    } catch (err) {
+      log.error(`Error importing row ${entry.row} for chat ID ${chatId}:`, err);
+      failed.push(`Row ${entry.row}: ${err.message}`);
+    }
+  }
+
+  log.success(
+    `Imported ${created} of ${session.importEntries.length} row(s) for chat ID: ${chatId}`
+  );
+  await finishSession(session);
+  bot.sendMessage(
+    chatId,
+    [
+      `Import finished: ${created} expense(s) created, ${failed.length} row(s) failed or skipped.`,
+      ...failed,
+    ]
+      .join("\n")
+      .slice(0, 4000)
+  );
+};
+
+// Joins the error messages of a Splitwise response, or returns null if there are none
+const splitwiseErrors = (data) => {
+  const messages = Object.values(data.errors || {}).flat();
+  return messages.length > 0 ? messages.join(", ") : null;
+};
+
+// Function to fetch a single expense from Splitwise
+const fetchExpense = async (accessToken, expenseId) => {
+  const response = await fetch(
+    `https://secure.splitwise.com/api/v3.0/get_expense/${expenseId}`,
+    {
+      method: "GET",
+      headers: { Authorization: `Bearer ${accessToken}` },
+    }
+  );
+  const data = await response.json();
+  return data.expense || null;
+};
+
+// Function to update an expense on Splitwise, returning the error if it was rejected
+const updateExpense = async (accessToken, expenseId, payload) => {
+  log.debug(`Payload for expense update: ${JSON.stringify(payload)}`);
+
+  const response = await fetch(
+    `https://secure.splitwise.com/api/v3.0/update_expense/${expenseId}`,
+    expenseRequest(accessToken, payload)
+  );
+  return splitwiseErrors(await response.json());
+};
+
+// Function to delete an expense on Splitwise, returning the error if it was rejected
+const deleteExpense = async (accessToken, expenseId) => {
+  const response = await fetch(
+    `https://secure.splitwise.com/api/v3.0/delete_expense/${expenseId}`,
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${accessToken}` },
+    }
+  );
+  const data = await response.json();
+  return data.success ? null : splitwiseErrors(data) || "Unknown error";
+};
+
+// Whether a Telegram user administers a chat. Everyone runs their own private chat.
+const isChatAdmin = async (chatId, userId) => {
+  if (String(chatId) === String(userId)) return true;
+
+  try {
+    const member = await bot.getChatMember(chatId, userId);
+    return ["creator", "administrator"].includes(member.status);
+  } catch (err) {
+    log.error(`Failed to look up chat member ${userId} in ${chatId}:`, err);
+    return false;
+  }
+};
+
+// Only whoever created an expense or an admin of the chat may change or delete
+// it. Expenses the bot didn't create go by Splitwise's created_by, which only
+// says who the sender is if they act with their own account.
+const canModifyExpense = async (chatId, userId, accessToken, expense) => {
+  const creator = await ExpenseCreator.findOne({
+    where: { expenseId: String(expense.id) },
+  });
+  if (creator) {
+    return creator.userId === String(userId) || isChatAdmin(chatId, userId);
+  }
+
+  const token = await findToken(chatId, userId);
+  if (token && token.userId === String(userId)) {
+    const currentUser = await fetchCurrentUser(accessToken);
+    if (
+      currentUser &&
+      expense.created_by &&
+      expense.created_by.id === currentUser.id
+    ) {
+      return true;
+    }
+  }
+  return isChatAdmin(chatId, userId);
+};
+
+// Commands /permissions can restrict to chat admins, and the ones restricted until
+// a chat changes that
+const RESTRICTABLE_COMMANDS = [
+  "unlink",
+  "setgroup",
+  "currency",
+  "keyword",
+  "remind",
+  "linkmember",
+];
+const DEFAULT_RESTRICTED_COMMANDS = [
+  "unlink",
+  "setgroup",
+  "currency",
+  "keyword",
+  "remind",
+  "linkmember",
+];
+
+// Restricted commands that only change the account the sender acts with, so
+// whoever linked that account may still use them
+const OWN_ACCOUNT_COMMANDS = ["unlink", "setgroup"];
+
+// Function to load the commands restricted in a chat
+const loadRestrictedCommands = async (chatId) => {
+  const permission = await ChatPermission.findOne({
+    where: { chatId: String(chatId) },
+  });
+  return permission
+    ? JSON.parse(permission.restrictedCommands)
+    : DEFAULT_RESTRICTED_COMMANDS;
+};
+
+// Checks whether a user may run a command in a chat and tells them if not. A
+// restricted command is open to chat admins, which in a private chat is always
+// the user. /unlink and /setgroup are also open to anyone acting with their own
+// account, since they only change that account.
+const checkPermission = async (chatId, userId, command) => {
+  const restricted = await loadRestrictedCommands(chatId);
+  if (!restricted.includes(command)) return true;
+
+  if (OWN_ACCOUNT_COMMANDS.includes(command)) {
+    const token = await findToken(chatId, userId);
+    if (token && token.userId === String(userId)) return true;
+  }
+  if (await isChatAdmin(chatId, userId)) return true;
+
+  log.debug(`User ID ${userId} may not use /${command} in chat ID: ${chatId}`);
+  bot.sendMessage(
+    chatId,
+    OWN_ACCOUNT_COMMANDS.includes(command)
+      ? `Only chat admins can use /${command} for the chat's shared account. Use /login to link your own account.`
+      : `Only chat admins can use /${command} here.`
+  );
+  return false;
+};
+
+// Describes which commands are restricted in a chat
+const formatPermissions = (restricted) => {
+  const open = RESTRICTABLE_COMMANDS.filter(
+    (command) => !restricted.includes(command)
+  );
+  const list = (commands) =>
+    commands.length > 0
+      ? commands.map((command) => `/${command}`).join(", ")
+      : "none";
+  return [
+    `Only chat admins: ${list(restricted)}`,
+    `Everyone: ${list(open)}`,
+    "",
+    "Anyone with their own account linked in the chat can still use /unlink and /setgroup for it.",
+    "",
+    "Chat admins can change this with /permissions restrict <command>, /permissions allow <command> or /permissions reset.",
+  ].join("\n");
+};
+
+// Scales the paid and owed shares of an expense to a new total, keeping their
+// proportions, for the users__N__ fields of update_expense
+const rescaleShares = (users, totalCents) => {
+  const paidCents = allocateCents(
+    totalCents,
+    users.map((user) => toCents(parseFloat(user.paid_share)))
+  );
+  const owedCents = allocateCents(
+    totalCents,
+    users.map((user) => toCents(parseFloat(user.owed_share)))
+  );
+
+  const payload = {};
+  users.forEach((user, index) => {
+    payload[`users__${index}__user_id`] = user.user_id;
+    payload[`users__${index}__paid_share`] = formatCents(paidCents[index]);
+    payload[`users__${index}__owed_share`] = formatCents(owedCents[index]);
+  });
+  return payload;
+};
+
+const EDIT_FIELDS = {
+  description: "Description",
+  amount: "Amount",
+  category: "Category",
+  receipt: "Receipt",
+};
+
+// Starts editing or deleting an expense after checking the user may do so
+const startExpenseAction = async (chatId, userId, expenseId, action) => {
+  const accessToken = await loadToken(chatId, userId);
+  if (!accessToken) {
+    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
+    return;
+  }
+
+  try {
+    const expense = await fetchExpense(accessToken, expenseId);
+    if (!expense || expense.deleted_at) {
+      bot.sendMessage(chatId, `Expense #${expenseId} doesn't exist.`);
+      return;
+    }
+
+    if (!(await canModifyExpense(chatId, userId, accessToken, expense))) {
+      log.error(
+        `User ID ${userId} may not ${action} expense ${expenseId} in chat ID: ${chatId}`
+      );
+      bot.sendMessage(
+        chatId,
+        `Only whoever created an expense or a chat admin can ${action} it.`
+      );
+      return;
+    }
+
+    const session = startSession(chatId, userId, {
+      expenseId: expense.id,
+      description: expense.description,
+      currencyCode: expense.currency_code,
+      users: expense.users.map(({ user_id, paid_share, owed_share }) => ({
+        user_id,
+        paid_share,
+        owed_share,
+      })),
+    });
+
+    const keyboard =
+      action === "delete"
+        ? [
+            [
+              { text: "Delete", callback_data: "deleteConfirm" },
+              { text: "Cancel", callback_data: "expenseCancel" },
+            ],
+          ]
+        : [
+            Object.entries(EDIT_FIELDS).map(([field, label]) => ({
+              text: label,
+              callback_data: `editField_${field}`,
+            })),
+            [{ text: "Cancel", callback_data: "expenseCancel" }],
+          ];
+
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      `${
+        action === "delete"
+          ? "Delete this expense?"
+          : "What do you want to change?"
+      }\n\n${formatExpense(expense)}`,
+      { reply_markup: { inline_keyboard: sessionKeyboard(session, keyboard) } }
+    );
+    setButtonTimeout(session, sentMessage);
+  } catch (err) {
+    log.error(`Error fetching expense ${expenseId}:`, err);
+    bot.sendMessage(chatId, "Failed to fetch the expense. Please try again.");
+  }
+};
+
+// Sends an edit to Splitwise and ends the edit session
+const submitExpenseEdit = async (chatId, session, payload) => {
+  const accessToken = await loadToken(chatId, session.userId);
+
+  try {
+    const error = await updateExpense(accessToken, session.expenseId, payload);
+    if (error) {
+      log.error(`Error updating expense ${session.expenseId}: ${error}`);
+      bot.sendMessage(chatId, `Failed to update expense: ${error}`);
+    } else {
+      log.success(
+        `Expense ${session.expenseId} updated for chat ID: ${chatId}`
+      );
+      bot.sendMessage(chatId, `Expense #${session.expenseId} updated.`);
+    }
+  } catch (err) {
+    log.error(`Error updating expense ${session.expenseId}:`, err);
+    bot.sendMessage(chatId, "Failed to update expense. Please try again.");
+  } finally {
+    await finishSession(session);
+  }
+};
+
+// Deletes the expense behind an Undo button, if the user may do so
+const undoExpense = async (callbackQuery, expenseId) => {
+  const chatId = callbackQuery.message.chat.id;
+  const userId = callbackQuery.from.id;
+
+  try {
+    const accessToken = await loadToken(chatId, userId);
+    const expense = accessToken && (await fetchExpense(accessToken, expenseId));
+    if (!expense || expense.deleted_at) {
+      bot.answerCallbackQuery(callbackQuery.id, {
+        text: "This expense no longer exists.",
+        show_alert: true,
+      });
+      return;
+    }
+
+    if (!(await canModifyExpense(chatId, userId, accessToken, expense))) {
+      bot.answerCallbackQuery(callbackQuery.id, {
+        text: "Only whoever created this expense or a chat admin can undo it.",
+        show_alert: true,
+      });
+      return;
+    }
+
+    const error = await deleteExpense(accessToken, expenseId);
+    if (error) {
+      log.error(`Error undoing expense ${expenseId}: ${error}`);
+      bot.answerCallbackQuery(callbackQuery.id, {
+        text: `Failed to undo expense: ${error}`,
+        show_alert: true,
+      });
+      return;
+    }
+
+    log.success(`Expense ${expenseId} undone in chat ID: ${chatId}`);
+    bot.answerCallbackQuery(callbackQuery.id, { text: "Expense undone." });
+  } catch (err) {
+    log.error(`Error undoing expense ${expenseId}:`, err);
+    bot.answerCallbackQuery(callbackQuery.id, {
+      text: "Failed to undo expense. Please try again.",
+      show_alert: true,
+    });
+    return;
+  }
+
+  try {
+    await bot.editMessageText(`${callbackQuery.message.text} (undone)`, {
+      chat_id: chatId,
+      message_id: callbackQuery.message.message_id,
+    });
+  } catch (err) {
+    log.error(`Failed to mark expense ${expenseId} as undone:`, err);
+  }
+};
+
+const RECURRING_CHECK_INTERVAL = 60 * 1000;
+const RECURRING_RUN_HOUR = 9;
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Finds the weekday (0 = Sunday) named by e.g. "fri" or "Friday", or -1
+const parseWeekday = (token = "") =>
+  WEEKDAYS.findIndex(
+    (weekday) =>
+      token.length >= 3 && weekday.toLowerCase().startsWith(token.toLowerCase())
+  );
+
+// Parses the schedule at the start of /recurring arguments: "weekly fri",
+// "monthly 1" or "every 14" (days). Returns { frequency, day, rest } with the
+// remaining arguments, or { error }.
+const parseRecurringSchedule = (args) => {
+  const [kind = "", dayToken = "", ...rest] = args.trim().split(/\s+/);
+  const frequency = kind.toLowerCase();
+  const number = /^\d+$/.test(dayToken) ? parseInt(dayToken, 10) : NaN;
+
+  if (frequency === "weekly") {
+    const day = parseWeekday(dayToken);
+    if (day === -1) {
+      return { error: "Give the day of the week, e.g. weekly fri." };
+    }
+    return { frequency, day, rest: rest.join(" ") };
+  }
+
+  if (frequency === "monthly") {
+    if (!(number >= 1 && number <= 31)) {
+      return { error: "Give the day of the month, e.g. monthly 1." };
+    }
+    return { frequency, day: number, rest: rest.join(" ") };
+  }
+
+  if (frequency === "every") {
+    if (!(number >= 1)) {
+      return { error: "Give the number of days, e.g. every 14." };
+    }
+    return { frequency: "days", day: number, rest: rest.join(" ") };
+  }
+
+  return {
+    error:
+      "Start with a schedule: weekly <weekday>, monthly <day> or every <days>.",
+  };
+};
+
+const describeSchedule = ({ frequency, day }) => {
+  if (frequency === "weekly") return `every ${WEEKDAYS[day]}`;
+  if (frequency === "monthly") return `monthly on day ${day}`;
+  return `every ${day} days`;
+};
+
+// Finds the first time a schedule is due after the given date. Runs happen at
+// the schedule's hour (RECURRING_RUN_HOUR by default) server time; monthly runs
+// on days a month doesn't have move to its last day.
+const nextRecurringRun = (
+  { frequency, day, hour = RECURRING_RUN_HOUR },
+  after
+) => {
+  const next = new Date(after);
+  next.setHours(hour, 0, 0, 0);
+
+  if (frequency === "days") {
+    while (next <= after) next.setDate(next.getDate() + day);
+    return next;
+  }
+
+  if (frequency === "weekly") {
+    next.setDate(next.getDate() + ((day - next.getDay() + 7) % 7));
+    if (next <= after) next.setDate(next.getDate() + 7);
+    return next;
+  }
+
+  const inMonth = (year, month) => {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, lastDay), hour);
+  };
+  const candidate = inMonth(next.getFullYear(), next.getMonth());
+  return candidate > after
+    ? candidate
+    : inMonth(next.getFullYear(), next.getMonth() + 1);
+};
+
+const formatRecurring = (recurring) => {
+  const mentions = JSON.parse(recurring.mentions);
+  return [
+    `#${recurring.id} ${recurring.description} — ${recurring.cost} ${recurring.currencyCode}, ${describeSchedule(
+      recurring
+    )}`,
+    mentions.length > 0
+      ? `, split with ${mentions.map((mention) => `@${mention}`).join(" ")}`
+      : "",
+    recurring.paused
+      ? " (paused)"
+      : `. Next: ${formatDate(recurring.nextRunAt)}`,
+  ].join("");
+};
+
+// Posts one run of a recurring expense through createExpense, dated to when it
+// was due. Mentioned members share it equally and the account posting it pays;
+// without mentions it is split equally across the group.
+const postRecurringExpense = async (recurring, accessToken, dueAt) => {
+  let split = { split_equally: true };
+
+  const mentions = JSON.parse(recurring.mentions);
+  if (mentions.length > 0) {
+    const group = await fetchGroup(accessToken, recurring.groupId);
+    const { memberIds } = resolveMentions(group.members, mentions);
+
+    if (memberIds.length > 0) {
+      const currentUser = await fetchCurrentUser(accessToken);
+      const cents = toCents(parseFloat(recurring.cost));
+      split = sharesPayload(
+        memberIds,
+        allocateCents(
+          cents,
+          memberIds.map(() => 1)
+        ),
+        [{ memberId: currentUser.id, cents }],
+        group.members
+      );
+    }
+  }
+
+  return createExpense(
+    recurring.chatId,
+    recurring.userId,
+    accessToken,
+    {
+      cost: recurring.cost,
+      description: recurring.description,
+      currency_code: recurring.currencyCode,
+      category_id: recurring.categoryId || DEFAULT_CATEGORY_ID,
+      group_id: recurring.groupId,
+      date: dueAt.toISOString(),
+      ...split,
+    },
+    `Posted recurring expense #${recurring.id} for ${formatDate(dueAt)}: ${
+      recurring.description
+    }, ${recurring.cost} ${recurring.currencyCode}`
+  );
+};
+
+let runningRecurring = false;
+
+// Posts every recurring expense that is due. Runs missed while the bot was down
+// are caught up one at a time, each dated to when it was due. A run Splitwise
+// rejects is skipped, while a network error leaves it for the next check.
+const runRecurringExpenses = async () => {
+  if (runningRecurring) return;
+  runningRecurring = true;
+
+  try {
+    const due = await RecurringExpense.findAll({
+      where: { paused: false, nextRunAt: { [Op.lte]: new Date() } },
+    });
+
+    for (const recurring of due) {
+      const accessToken = await loadToken(recurring.chatId, recurring.userId);
+      if (!accessToken) {
+        log.error(`No access token to post recurring expense ${recurring.id}`);
+        recurring.paused = true;
+        await recurring.save();
+        bot.sendMessage(
+          recurring.chatId,
+          `Paused recurring expense #${recurring.id} (${recurring.description}) because nobody is logged in to post it. Use /login, then /recurring resume ${recurring.id}.`
+        );
+        continue;
+      }
+
+      while (recurring.nextRunAt <= new Date()) {
+        const dueAt = new Date(recurring.nextRunAt);
+        log.info(
+          `Posting recurring expense ${recurring.id} due ${dueAt.toISOString()}`
+        );
+
+        try {
+          await postRecurringExpense(recurring, accessToken, dueAt);
+        } catch (err) {
+          log.error(`Error posting recurring expense ${recurring.id}:`, err);
+          break;
+        }
+
+        recurring.nextRunAt = nextRecurringRun(recurring, dueAt);
+        await recurring.save();
+      }
+    }
+  } catch (err) {
+    log.error("Error running recurring expenses:", err);
+  } finally {
+    runningRecurring = false;
+  }
+};
+
+setInterval(runRecurringExpenses, RECURRING_CHECK_INTERVAL);
+
+// Lists the chat's recurring expenses with buttons to pause, resume or delete them
+const showRecurringList = async (chatId, session, messageId = null) => {
+  const schedules = await RecurringExpense.findAll({
+    where: { chatId: String(chatId) },
+    order: [["id", "ASC"]],
+  });
+
+  const text =
+    schedules.length > 0
+      ? `Recurring expenses:\n\n${schedules.map(formatRecurring).join("\n")}`
+      : "No recurring expenses yet. Add one with e.g. /recurring monthly 1 1200 Rent.";
+  const keyboard = schedules.map((recurring) => [
+    recurring.paused
+      ? {
+          text: `Resume #${recurring.id}`,
+          callback_data: `recurringResume_${recurring.id}`,
+        }
+      : {
+          text: `Pause #${recurring.id}`,
+          callback_data: `recurringPause_${recurring.id}`,
+        },
+    {
+      text: `Delete #${recurring.id}`,
+      callback_data: `recurringDelete_${recurring.id}`,
+    },
+  ]);
+  const options = {
+    reply_markup: { inline_keyboard: sessionKeyboard(session, keyboard) },
+  };
+
+  if (messageId) {
+    await bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: messageId,
+      ...options,
+    });
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+};
+
+// Pauses, resumes or deletes a recurring expense of the chat. Only whoever set it
+// up or a chat admin may change it. Returns the message to show the user.
+const manageRecurring = async (chatId, userId, recurringId, action) => {
+  const recurring = await RecurringExpense.findOne({
+    where: { id: recurringId, chatId: String(chatId) },
+  });
+  if (!recurring) return `Recurring expense #${recurringId} doesn't exist.`;
+
+  if (
+    recurring.userId !== String(userId) &&
+    !(await isChatAdmin(chatId, userId))
+  ) {
+    return `Only whoever set up a recurring expense or a chat admin can ${action} it.`;
+  }
+
+  if (action === "delete") {
+    await recurring.destroy();
+    log.success(
+      `Recurring expense ${recurringId} deleted in chat ID: ${chatId}`
+    );
+    return `Deleted recurring expense #${recurringId}.`;
+  }
+
+  recurring.paused = action === "pause";
+  // A resumed schedule picks up from now instead of catching up the paused runs
+  if (!recurring.paused) {
+    recurring.nextRunAt = nextRecurringRun(recurring, new Date());
+  }
+  await recurring.save();
+  log.success(
+    `Recurring expense ${recurringId} ${action}d in chat ID: ${chatId}`
+  );
+  return recurring.paused
+    ? `Paused recurring expense #${recurringId}.`
+    : `Resumed recurring expense #${recurringId}. Next: ${formatDate(
+        recurring.nextRunAt
+      )}.`;
+};
+
+const REMINDER_CHECK_INTERVAL = 60 * 1000;
+const REMINDER_DEFAULT_HOUR = 18;
+
+// Next time a chat's weekly reminder is due after the given date
+const nextReminderRun = (reminder, after) =>
+  nextRecurringRun(
+    { frequency: "weekly", day: reminder.day, hour: reminder.hour },
+    after
+  );
+
+const hasQuietHours = ({ quietStart, quietEnd }) =>
+  Number.isInteger(quietStart) &&
+  Number.isInteger(quietEnd) &&
+  quietStart !== quietEnd;
+
+// Whether an hour of the day falls in a chat's quiet hours, which may wrap
+// around midnight (e.g. 22 to 8)
+const inQuietHours = (reminder, hour) => {
+  if (!hasQuietHours(reminder)) return false;
+
+  const { quietStart, quietEnd } = reminder;
+  return quietStart < quietEnd
+    ? hour >= quietStart && hour < quietEnd
+    : hour >= quietStart || hour < quietEnd;
+};
+
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+// Members who owe more than the threshold in at least one currency, leaving out
+// muted members, with what they owe per currency
+const membersOverThreshold = (members, threshold, mutedMembers) =>
+  members
+    .filter((member) => !mutedMembers.includes(member.id))
+    .map((member) => ({
+      member,
+      owed: (member.balance || [])
+        .filter((balance) => -parseFloat(balance.amount) > threshold)
+        .map(
+          (balance) =>
+            `${(-parseFloat(balance.amount)).toFixed(2)} ${
+              balance.currency_code
+            }`
+        ),
+    }))
+    .filter(({ owed }) => owed.length > 0);
+
+// Escapes text for messages sent with parse_mode HTML
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+// Mentions the Telegram user a member is linked to so they get notified, as HTML.
+// Unlinked members are only named.
+const mentionMember = (member) => {
+  if (member.telegramUsername) {
+    return `${escapeHtml(memberName(member))} (@${member.telegramUsername})`;
+  }
+  if (member.telegramUserId) {
+    return `<a href="tg://user?id=${member.telegramUserId}">${escapeHtml(
+      memberName(member)
+    )}</a>`;
+  }
+  return escapeHtml(memberName(member));
+};
+
+// Posts a summary of who owes money in the chat's default group, with a button
+// to start settling. Returns false when nobody is over the threshold.
+const sendReminder = async (reminder) => {
+  const { chatId } = reminder;
+  const token = await findToken(chatId, reminder.userId);
+  if (!token || !token.accessToken || !token.defaultGroupId) {
+    log.debug(
+      `No account or default group for reminders in chat ID: ${chatId}`
+    );
+    return false;
+  }
+
+  const accessToken = await loadToken(chatId, reminder.userId);
+  const group = await fetchGroup(accessToken, token.defaultGroupId);
+  const debtors = membersOverThreshold(
+    group.members,
+    parseFloat(reminder.threshold),
+    JSON.parse(reminder.mutedMembers)
+  );
+  if (debtors.length === 0) return false;
+
+  const lines = debtors.map(
+    ({ member, owed }) => `- ${mentionMember(member)} owes ${owed.join(", ")}`
+  );
+  await bot.sendMessage(
+    chatId,
+    `Reminder: there are open debts in ${escapeHtml(
+      group.name
+    )}.\n\n${lines.join(
+      "\n"
+    )}\n\nTap Settle now or use /settle to record a payment.`,
+    {
+      parse_mode: "HTML",
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "Settle now", callback_data: "remindSettle" }],
+        ],
+      },
+    }
+  );
+  return true;
+};
+
+let runningReminders = false;
+
+// Sends the reminders that are due. A reminder that comes due during quiet hours
+// waits until they are over, and one missed while the bot was down is sent once.
+const runReminders = async () => {
+  if (runningReminders) return;
+  runningReminders = true;
+
+  try {
+    const now = new Date();
+    const due = await Reminder.findAll({
+      where: { enabled: true, nextRunAt: { [Op.lte]: now } },
+    });
+
+    for (const reminder of due) {
+      if (inQuietHours(reminder, now.getHours())) continue;
+
+      try {
+        await sendReminder(reminder);
+      } catch (err) {
+        log.error(
+          `Error sending reminder for chat ID ${reminder.chatId}:`,
+          err
+        );
+      }
+
+      reminder.nextRunAt = nextReminderRun(reminder, now);
+      await reminder.save();
+    }
+  } catch (err) {
+    log.error("Error running reminders:", err);
+  } finally {
+    runningReminders = false;
+  }
+};
+
+setInterval(runReminders, REMINDER_CHECK_INTERVAL);
+
+// Describes a chat's reminder settings for /remind
+const formatReminder = (reminder, members = []) => {
+  if (!reminder || !reminder.enabled) {
+    return "Debt reminders are off. Turn them on with e.g. /remind on fri 18.";
+  }
+
+  const muted = JSON.parse(reminder.mutedMembers).map((memberId) => {
+    const member = memberById(members, memberId);
+    return member ? memberName(member) : String(memberId);
+  });
+
+  return [
+    `Debt reminders are on: every ${WEEKDAYS[reminder.day]} at ${formatHour(
+      reminder.hour
+    )}.`,
+    `Threshold: ${reminder.threshold}`,
+    `Quiet hours: ${
+      hasQuietHours(reminder)
+        ? `${formatHour(reminder.quietStart)}–${formatHour(reminder.quietEnd)}`
+        : "none"
+    }`,
+    `Muted: ${muted.length > 0 ? muted.join(", ") : "nobody"}`,
+    `Next reminder: ${formatDate(reminder.nextRunAt)}`,
+  ].join("\n");
+};
+
+// Shows the outstanding debts of the default group so the user can pick one to
+// settle, or record some other payment between two members
+const startSettleFlow = async (chatId, userId) => {
+  const token = await findGroupToken(chatId, userId);
+  if (!token) return;
+
+  try {
+    const accessToken = await loadToken(chatId, userId);
+    const group = await fetchGroup(accessToken, token.defaultGroupId);
+    const debts = groupDebts(group);
+
+    const session = startSession(chatId, userId, {
+      groupId: token.defaultGroupId,
+      members: group.members,
+      debts,
+    });
+
+    const debtButtons = debts.map((debt, idx) => {
+      const from = memberById(group.members, debt.from);
+      const to = memberById(group.members, debt.to);
+      return [
+        {
+          text: `${from ? memberName(from) : debt.from} → ${
+            to ? memberName(to) : debt.to
+          }: ${debt.amount} ${debt.currency_code}`,
+          callback_data: `settleDebt_${idx}`,
+        },
+      ];
+    });
+    debtButtons.push([
+      { text: "Record another payment", callback_data: "settleOther" },
+    ]);
+
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      debts.length > 0
+        ? "Which debt do you want to settle?"
+        : "Everyone in the group is settled up. You can still record another payment:",
+      {
+        reply_markup: {
+          inline_keyboard: sessionKeyboard(session, debtButtons),
+        },
+      }
+    );
+    session.messageIds.push(sentMessage.message_id);
+    setButtonTimeout(session, sentMessage);
+  } catch (err) {
+    log.error(`Error fetching debts for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to fetch group debts. Please try again.");
+  }
+};
+
+// Lists the group members to pick the payer or the recipient of a payment
+const promptSettleMember = async (chatId, session, text, action) => {
+  const memberButtons = session.members.map((member, idx) => [
+    { text: memberName(member), callback_data: `${action}_${idx}` },
+  ]);
+
+  const sentMessage = await bot.sendMessage(chatId, text, {
+    reply_markup: { inline_keyboard: sessionKeyboard(session, memberButtons) },
+  });
+  session.messageIds.push(sentMessage.message_id);
+};
+
+// Asks how much was paid, offering the outstanding debt as a one-tap amount
+const promptSettleAmount = async (chatId, session) => {
+  const { settlement, members } = session;
+  const from = memberName(memberById(members, settlement.from));
+  const to = memberName(memberById(members, settlement.to));
+
+  // Prefill with what the payer owes the recipient, if anything
+  const debt = session.debts.find(
+    (d) => d.from === settlement.from && d.to === settlement.to
+  );
+
+  session.step = "awaiting_settle_amount";
+  const sentMessage = await bot.sendMessage(
+    chatId,
+    `How much did ${from} pay ${to}?${
+      debt ? "" : ` (e.g. 10 or 10 ${session.defaultCurrency})`
+    }`,
+    debt
+      ? {
+          reply_markup: {
+            inline_keyboard: sessionKeyboard(session, [
+              [
+                {
+                  text: `${debt.amount} ${debt.currency_code}`,
+                  callback_data: "settleFull",
+                },
+              ],
+            ]),
+          },
+        }
+      : {}
+  );
+  session.messageIds.push(sentMessage.message_id);
+};
+
+// Records the payment in Splitwise and confirms it in the chat
+const submitSettlement = async (chatId, session, amount, currencyCode) => {
+  const { settlement, members, groupId } = session;
+  const from = memberName(memberById(members, settlement.from));
+  const to = memberName(memberById(members, settlement.to));
+  const accessToken = await loadToken(chatId, session.userId);
+
+  try {
+    log.debug(
+      `Recording payment of ${amount} ${currencyCode} from ${settlement.from} to ${settlement.to} in group ID: ${groupId}`
+    );
+    await createExpense(
+      chatId,
+      session.userId,
+      accessToken,
+      {
+        cost: amount.toFixed(2),
+        description: "Payment",
+        currency_code: currencyCode,
+        group_id: groupId,
+        payment: true,
+        users__0__user_id: settlement.from,
+        users__0__paid_share: amount.toFixed(2),
+        users__0__owed_share: "0.00",
+        users__1__user_id: settlement.to,
+        users__1__paid_share: "0.00",
+        users__1__owed_share: amount.toFixed(2),
+      },
+      `Recorded a payment of ${amount.toFixed(
+        2
+      )} ${currencyCode} from ${from} to ${to}.`
+    );
+  } catch (err) {
+    log.error(`Error recording payment for group ID ${groupId}:`, err);
+    bot.sendMessage(chatId, "Failed to record the payment. Please try again.");
+  } finally {
+    await finishSession(session);
+  }
+};
+
+// The Telegram user a message came from, as stored in a member link
+const telegramUser = (from) => ({
+  id: String(from.id),
+  username: from.username || null,
+  name: `${from.first_name || ""} ${from.last_name || ""}`.trim(),
+});
+
+// Guesses which group member a Telegram user is by comparing their Telegram name
+// and username with the members' names and email addresses. Members linked to
+// someone else are skipped, and a tie means no guess.
+const suggestMember = (members, user) => {
+  const normalize = (value) =>
+    (value || "").toLowerCase().replace(/[\s._-]+/g, "");
+  const fullName = normalize(user.name);
+  const firstName = normalize(user.name.split(" ")[0]);
+  const username = normalize(user.username);
+
+  const scored = members
+    .filter(
+      (member) => !member.telegramUserId || member.telegramUserId === user.id
+    )
+    .map((member) => {
+      const memberFull = normalize(
+        `${member.first_name || ""}${member.last_name || ""}`
+      );
+      const memberFirst = normalize(member.first_name);
+      const emailName = normalize((member.email || "").split("@")[0]);
+
+      let score = 0;
+      if (
+        (fullName && fullName === memberFull) ||
+        (username && (username === emailName || username === memberFull))
+      ) {
+        score = 3;
+      } else if (firstName && firstName === memberFirst) {
+        score = 2;
+      } else if (username && memberFirst.length >= 3) {
+        score = username.includes(memberFirst) ? 1 : 0;
+      }
+      return { member, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) return null;
+  if (scored.length > 1 && scored[1].score === scored[0].score) return null;
+  return scored[0].member;
+};
+
+// Links a Telegram user to a member of a group, replacing whatever either of them
+// was linked to before
+const saveMemberLink = async (groupId, user, splitwiseUserId) => {
+  await MemberLink.destroy({
+    where: {
+      groupId: String(groupId),
+      [Op.or]: [{ telegramUserId: user.id }, { splitwiseUserId }],
+    },
+  });
+  await MemberLink.create({
+    groupId: String(groupId),
+    telegramUserId: user.id,
+    telegramUsername: user.username,
+    telegramName: user.name,
+    splitwiseUserId,
+  });
+};
+
+// Whether a member is linked to a Telegram user other than the one being linked.
+// Only /linkmember may take such a member over; /whoami leaves them alone.
+const linkedToSomeoneElse = (member, user) =>
+  Boolean(member.telegramUserId) && member.telegramUserId !== user.id;
+
+// Asks which member of the session's group the Telegram user being linked is,
+// starting with a yes/no for the suggested member if there is one
+const promptMemberLink = async (chatId, session, suggestion = null) => {
+  const { members, target } = session;
+  let text;
+  let buttons;
+  if (suggestion) {
+    const idx = members.indexOf(suggestion);
+    text = `Is ${target.name} ${memberName(suggestion)} in ${session.groupName}?`;
+    buttons = [
+      [{ text: "Yes", callback_data: `linkMember_${idx}` }],
+      [{ text: "No, pick someone else", callback_data: "linkPick" }],
+    ];
+  } else {
+    text = `Which member of ${session.groupName} is ${target.name}?`;
+    buttons = members
+      .map((member, idx) => ({ member, idx }))
+      .filter(
+        ({ member }) => session.relink || !linkedToSomeoneElse(member, target)
+      )
+      .map(({ member, idx }) => [
+        {
+          text: member.telegramName
+            ? `${memberName(member)} (now ${member.telegramName})`
+            : memberName(member),
+          callback_data: `linkMember_${idx}`,
+        },
+      ]);
+    buttons.push([{ text: "Not in this group", callback_data: "linkNone" }]);
+  }
+
+  const sentMessage = await bot.sendMessage(chatId, text, {
+    reply_markup: { inline_keyboard: sessionKeyboard(session, buttons) },
+  });
+  session.messageIds.push(sentMessage.message_id);
+  setButtonTimeout(session, sentMessage);
+};
+
+// Links a Telegram user to their Splitwise member in the default group. Someone who
+// logged in with their own account in this chat is linked to it right away; anyone
+// else is asked about, with a guess based on their name. /whoami only reports an
+// existing link and offers members nobody else is linked to, unless `relink` is set.
+const startMemberLink = async (chatId, userId, user, relink = false) => {
+  const token = await findGroupToken(chatId, userId);
+  if (!token) return;
+
+  try {
+    const accessToken = await loadToken(chatId, userId);
+    const group = await fetchGroup(accessToken, token.defaultGroupId);
+    const linked = linkedMember(group.members, user.id);
+    const session = startSession(chatId, userId, {
+      groupId: token.defaultGroupId,
+      groupName: group.name,
+      members: group.members,
+      target: user,
+      relink,
+    });
+
+    if (linked && !relink) {
+      const sentMessage = await bot.sendMessage(
+        chatId,
+        `In ${group.name}, ${user.name} is ${memberName(linked)}.`,
+        {
+          reply_markup: {
+            inline_keyboard: sessionKeyboard(session, [
+              [{ text: "That's not right", callback_data: "linkPick" }],
+            ]),
+          },
+        }
+      );
+      session.messageIds.push(sentMessage.message_id);
+      setButtonTimeout(session, sentMessage);
       return;
     }
 
-    // Store the user session including the userId and groups
-    userSessions[chatId] = { userId, groups, messageIds: [] };
+    const ownToken = await Token.findOne({
+      where: { chatId: String(chatId), userId: user.id },
+    });
+    if (ownToken && !linked) {
+      const currentUser = await fetchCurrentUser(
+        decryptToken(ownToken.accessToken)
+      );
+      const member = memberById(group.members, currentUser.id);
+      if (member) {
+        await saveMemberLink(token.defaultGroupId, user, member.id);
+        await finishSession(session);
+        bot.sendMessage(
+          chatId,
+          `${user.name} is ${memberName(member)} in ${group.name} (their own Splitwise account).`
+        );
+        return;
+      }
+    }
 
-    const groupButtons = groups.map((group) => [
-      {
-        text: group.name,
-        callback_data: `setgroup_${group.id}`,
-      },
-    ]);
-    const sentMessage = await bot.sendMessage(
+    await promptMemberLink(
       chatId,
-      "Select a group to set as default:",
-      {
-        reply_markup: { inline_keyboard: groupButtons },
-      }
+      session,
+      linked ? null : suggestMember(group.members, user)
     );
-
-    // Store the message ID
-    userSessions[chatId].messageIds.push(sentMessage.message_id);
   } catch (err) {
-    log.error(`Error fetching groups for chat ID ${chatId}:`, err);
-    bot.sendMessage(chatId, "Failed to fetch groups. Please try again.");
+    log.error(`Error linking a member for chat ID ${chatId}:`, err);
+    bot.sendMessage(chatId, "Failed to fetch group members. Please try again.");
   }
-});
-
-bot.onText(/\/expense/, async (msg) => {
-	const chatId = msg.chat.id;
-	const userId = msg.from.id;
-	log.info(
-		`Received /expense command from chat ID: ${chatId}, user ID: ${userId}`
-	);
-
-	// Clean up any existing session
-	await cleanUpSession(chatId);
-
-	// Retrieve the token and default group from the database
-	const token = await Token.findOne({ where: { chatId } });
-	if (!token || !token.accessToken) {
-		log.debug(`No access token found for chat ID: ${chatId}`);
-		bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
-		return;
-	}
-
-	if (!token.defaultGroupId) {
-		log.debug(`No default group set for chat ID: ${chatId}`);
-		bot.sendMessage(
-			chatId,
-			"No default group is set. Please use /setgroup first."
-		);
-		return;
-	}
-
-	const accessToken = token.accessToken;
-	const groupId = token.defaultGroupId;
-
-	// Prompt for expense description
-	userSessions[chatId] = {
-		step: "awaiting_description",
-		groupId,
-		userId,
-		messageIds: [],
-	};
-
-	bot
-		.sendMessage(chatId, "Please enter a description for the expense:")
-		.then((sentMessage) => {
-			userSessions[chatId].messageIds.push(sentMessage.message_id);
-		});
-});
-
-bot.onText(/\/balance/, async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id;
+};
 
-  log.info(
-    `Received /balance command from chat ID: ${chatId}, user ID: ${userId}`
+const INLINE_PAIR_LIMIT = 10;
+
+// Inline queries don't come from a chat, so use the account the user linked in
+// their private chat with the bot, or else any account they linked themselves
+const findInlineToken = async (userId) =>
+  (await Token.findOne({
+    where: { chatId: String(userId), userId: String(userId) },
+  })) || Token.findOne({ where: { userId: String(userId) } });
+
+// Works out the expense an inline query like "12.50 coffee" describes, in the
+// default group of the user's account. Returns null if it can't be logged.
+const resolveInlineExpense = async (userId, query) => {
+  const token = await findInlineToken(userId);
+  if (!token || !token.accessToken || !token.defaultGroupId) return null;
+
+  const accessToken = decryptToken(token.accessToken);
+  const args = parseExpenseArgs(
+    query,
+    await fetchSupportedCurrencies(accessToken)
   );
+  if (!args.amount) return null;
+
+  const [group, currentUser] = await Promise.all([
+    fetchGroup(accessToken, token.defaultGroupId),
+    fetchCurrentUser(accessToken),
+  ]);
+  const currencyCode =
+    args.currencyCode ||
+    (await resolveDefaultCurrency({
+      chatId: token.chatId,
+      userId,
+      groupId: token.defaultGroupId,
+    }));
+
+  return {
+    chatId: token.chatId,
+    accessToken,
+    group,
+    currentUser,
+    description: args.description || "Expense",
+    amount: args.amount,
+    currencyCode,
+  };
+};
 
-  // Clean up any existing session
-  await cleanUpSession(chatId);
-
-  // Retrieve the access token from the database
-  const accessToken = await loadToken(chatId);
-  if (!accessToken) {
-    log.debug(`No access token found for chat ID: ${chatId}`);
-    bot.sendMessage(chatId, "You are not logged in. Please use /login first.");
-    return;
-  }
+bot.on("inline_query", async (inlineQuery) => {
+  const userId = inlineQuery.from.id;
+  log.debug(`Inline query from user ID ${userId}: ${inlineQuery.query}`);
 
   try {
-    const token = await Token.findOne({ where: { chatId } });
-    if (!token || !token.defaultGroupId) {
-      log.debug(`No default group set for chat ID: ${chatId}`);
-      bot.sendMessage(
-        chatId,
-        "No default group is set. Please use /setgroup first."
-      );
+    const expense = await resolveInlineExpense(userId, inlineQuery.query);
+    if (!expense) {
+      await bot.answerInlineQuery(inlineQuery.id, [], {
+        cache_time: 0,
+        is_personal: true,
+      });
       return;
     }
 
-    const groupId = token.defaultGroupId;
+    const { group, currentUser, description, currencyCode } = expense;
+    const amount = `${expense.amount.toFixed(2)} ${currencyCode}`;
+
+    // The button gives the sent message an ID, so it can be updated once the
+    // expense has been created
+    const result = (id, title, split) => ({
+      type: "article",
+      id,
+      title,
+      description: `${amount} ${description}`,
+      input_message_content: {
+        message_text: `Adding ${amount} "${description}" to ${group.name}, ${split}…`,
+      },
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: "Open in Splitwise",
+              url: `https://secure.splitwise.com/#/groups/${group.id}`,
+            },
+          ],
+        ],
+      },
+    });
 
-    log.debug(`Fetching group details for group ID: ${groupId}`);
-    const groupResponse = await fetch(
-      `https://secure.splitwise.com/api/v3.0/get_group/${groupId}`,
-      {
-        method: "GET",
-        headers: { Authorization: `Bearer ${accessToken}` },
-      }
-    );
+    const others = group.members
+      .filter((member) => member.id !== currentUser.id)
+      .slice(0, INLINE_PAIR_LIMIT);
+    const results = [
+      result("equal", `Split equally in ${group.name}`, "split equally"),
+      ...others.map((member) =>
+        result(
+          `pair_${member.id}`,
+          `Only me and ${memberName(member)}`,
+          `split with ${memberName(member)}`
+        )
+      ),
+    ];
 
-    const groupData = await groupResponse.json();
-    const group = groupData.group;
+    await bot.answerInlineQuery(inlineQuery.id, results, {
+      cache_time: 0,
+      is_personal: true,
+    });
+  } catch (err) {
+    log.error(`Error answering inline query from user ID ${userId}:`, err);
+  }
+});
 
-    let groupInfo = `*Group Name*: ${group.name}\n`;
-    groupInfo += `*Group Members and Balances*:\n`;
+bot.on("chosen_inline_result", async (chosen) => {
+  const userId = chosen.from.id;
+  log.info(
+    `Inline result ${chosen.result_id} chosen by user ID ${userId}: ${chosen.query}`
+  );
 
-    group.members.forEach((member) => {
-      const firstName = member.first_name || '';
-      const lastName = member.last_name || '';
+  // Replaces the "Adding …" message with the outcome
+  const report = async (text) => {
+    if (!chosen.inline_message_id) return;
+    try {
+      await bot.editMessageText(text, {
+        inline_message_id: chosen.inline_message_id,
+      });
+    } catch (err) {
+      log.error("Failed to update inline message:", err);
+    }
+  };
 
-      let balanceAmount = '0.00';
-      let balanceCurrency = '';
-      if (member.balance && member.balance.length > 0 && member.balance[0]) {
-        balanceAmount = member.balance[0].amount || '0.00';
-        balanceCurrency = member.balance[0].currency_code || '';
-      }
+  try {
+    const expense = await resolveInlineExpense(userId, chosen.query);
+    if (!expense) {
+      await report("Failed to create expense. Please try again.");
+      return;
+    }
 
-      let memberInfo = `- ${firstName} ${lastName}`;
-      if (balanceCurrency) {
-        memberInfo += ` (Balance: ${balanceAmount} ${balanceCurrency})`;
-      } else {
-        memberInfo += ` (Balance: ${balanceAmount})`;
-      }
-      groupInfo += `${memberInfo}\n`;
-    });
+    const { group, currentUser, description, currencyCode } = expense;
+    const cents = toCents(expense.amount);
+    const [kind, memberId] = chosen.result_id.split("_");
 
-    bot.sendMessage(chatId, groupInfo, { parse_mode: "Markdown" });
+    let split = { split_equally: true };
+    let splitText = "split equally";
+    if (kind === "pair") {
+      const member = memberById(group.members, parseInt(memberId, 10));
+      if (!member) {
+        await report(`That member is no longer in ${group.name}.`);
+        return;
+      }
+      split = sharesPayload(
+        [currentUser.id, member.id],
+        allocateCents(cents, [1, 1]),
+        [{ memberId: currentUser.id, cents }],
+        group.members
+      );
+      splitText = `split with ${memberName(member)}`;
+    }
 
-  } catch (err) {
-    log.error(
-      `Error fetching group details for chat ID ${chatId}:`,
-      err
+    const suggestion = await suggestCategory(expense.chatId, description);
+    const { expense: created, error } = await postExpense(
+      expense.accessToken,
+      {
+        cost: formatCents(cents),
+        description,
+        currency_code: currencyCode,
+        category_id: suggestion ? suggestion.id : DEFAULT_CATEGORY_ID,
+        group_id: group.id,
+        ...split,
+      },
+      userId
     );
-    bot.sendMessage(
-      chatId,
-      "Failed to fetch group details. Please try again."
+
+    if (!created) {
+      await report(
+        `Failed to create expense${error ? `: ${error}` : ". Please try again."}`
+      );
+      return;
+    }
+
+    log.success(`Inline expense ${created.id} created for user ID ${userId}`);
+    await report(
+      `Added ${formatCents(cents)} ${currencyCode} "${description}" to ${
+        group.name
+      }, ${splitText}.`
     );
+  } catch (err) {
+    log.error(`Error creating inline expense for user ID ${userId}:`, err);
+    await report("Failed to create expense. Please try again.");
   }
 });
 
 bot.on("callback_query", async (callbackQuery) => {
   const chatId = callbackQuery.message.chat.id;
   const fromId = callbackQuery.from.id;
-  const data = callbackQuery.data;
+  const { action: data, sid } = parseCallbackData(callbackQuery.data);
 
   log.debug(
-    `Callback query received from chat ID: ${chatId}, user ID: ${fromId}, data: ${data}`
+    `Callback query received from chat ID: ${chatId}, user ID: ${fromId}, data: ${callbackQuery.data}`
   );
 
-  const session = userSessions[chatId];
+  // Anyone in the chat can start settling up from a reminder
+  if (data === "remindSettle") {
+    await cleanUpSession(chatId, fromId);
+    await startSettleFlow(chatId, fromId);
+    bot.answerCallbackQuery(callbackQuery.id);
+    return;
+  }
+
+  if (data.startsWith("undoExpense_")) {
+    await undoExpense(callbackQuery, data.split("_")[1]);
+    return;
+  }
+
+  const session = userSessions[sid];
 
-  if (session && session.timeout) {
-    log.debug(`Clearing button timeout for chat ID: ${chatId}`);
-    clearTimeout(session.timeout);
-    delete session.timeout;
+  if (!session) {
+    log.debug(`No session found for callback data: ${callbackQuery.data}`);
+    bot.answerCallbackQuery(callbackQuery.id, {
+      text: "This session has expired. Please try again.",
+      show_alert: true,
+    });
+    return;
   }
 
-  if (session && session.userId !== fromId) {
+  if (String(session.userId) !== String(fromId)) {
     log.error(
       `User ID ${fromId} tried to interact with button meant for user ID ${session.userId}`
     );
@@ -495,9 +5099,11 @@ bot.on("callback_query", async (callbackQuery) => {
     return;
   }
 
+  touchSession(session);
+
   if (data.startsWith("group_")) {
     const groupId = data.split("_")[1];
-    const accessToken = await loadToken(chatId);
+    const accessToken = await loadToken(chatId, fromId);
     if (!accessToken) {
       log.debug(`No access token found for chat ID: ${chatId}`);
       bot.sendMessage(
@@ -561,21 +5167,21 @@ bot.on("callback_query", async (callbackQuery) => {
       const groupMessage = await bot.sendMessage(chatId, groupInfo, {
         parse_mode: "Markdown",
         reply_markup: {
-          inline_keyboard: [
+          inline_keyboard: sessionKeyboard(session, [
             [
               {
                 text: "Create expense in group",
                 callback_data: `createExpense_${groupId}`,
               },
             ],
-          ],
+          ]),
         },
       });
 
       // Store the message ID
       session.messageIds.push(groupMessage.message_id);
 
-      setButtonTimeout(chatId, groupMessage);
+      setButtonTimeout(session, groupMessage);
     } catch (err) {
       log.error(
         `Error fetching group details for chat ID ${chatId}, group ID ${groupId}:`,
@@ -592,176 +5198,443 @@ bot.on("callback_query", async (callbackQuery) => {
     log.debug(
       `Initiating expense creation for group ID: ${groupId}, chat ID: ${chatId}`
     );
-    userSessions[chatId] = {
+    const expenseSession = startSession(chatId, fromId, {
       step: "awaiting_description",
       groupId,
-      userId: fromId,
-      messageIds: [],
-    };
+    });
 
     bot
       .sendMessage(chatId, "Please enter a description for the expense:")
       .then((sentMessage) => {
-        userSessions[chatId].messageIds.push(sentMessage.message_id);
+        expenseSession.messageIds.push(sentMessage.message_id);
       });
   } else if (data.startsWith("setgroup_")) {
     const groupId = data.split("_")[1];
 
     // Retrieve the group name from the session
-    const session = userSessions[chatId];
     const selectedGroup = session.groups.find(
       (group) => group.id.toString() === groupId
     );
 
-    if (!selectedGroup) {
-      log.error(`Group with ID ${groupId} not found for chat ID: ${chatId}`);
-      bot.sendMessage(chatId, "An error occurred. Please try again.");
+    if (!selectedGroup) {
+      log.error(`Group with ID ${groupId} not found for chat ID: ${chatId}`);
+      bot.sendMessage(chatId, "An error occurred. Please try again.");
+      return;
+    }
+
+    const groupName = selectedGroup.name; // Get the selected group's name
+
+    log.debug(
+      `Setting default group for chat ID: ${chatId} to group ID: ${groupId} (${groupName})`
+    );
+
+    try {
+      const token = await findToken(chatId, fromId);
+      if (token) {
+        token.defaultGroupId = groupId;
+        await token.save();
+        log.success(`Default group set successfully for chat ID: ${chatId}`);
+        bot.sendMessage(chatId, `Default group set to "${groupName}".`); // Display the group name
+
+        // Delete the stored messages and clean up the session
+        await finishSession(session);
+      } else {
+        log.error(`No token found for chat ID: ${chatId}`);
+        bot.sendMessage(
+          chatId,
+          "You are not logged in. Please use /login first."
+        );
+      }
+    } catch (error) {
+      log.error(`Error setting default group for chat ID: ${chatId}`, error);
+      bot.sendMessage(chatId, "Failed to set default group. Please try again.");
+    }
+  } else if (data.startsWith("categoryGroup_")) {
+    const parentId = data.split("_")[1];
+    const accessToken = await loadToken(chatId, fromId);
+    let categories;
+    try {
+      categories = await fetchCategories(accessToken);
+    } catch (err) {
+      await skipCategoryPicker(chatId, session, err);
+      return;
+    }
+
+    bot.editMessageReplyMarkup(
+      {
+        inline_keyboard: sessionKeyboard(
+          session,
+          buildCategoryButtons(
+            categories,
+            parentId === "back" ? null : parseInt(parentId, 10),
+            session.suggestedCategory
+          )
+        ),
+      },
+      {
+        chat_id: chatId,
+        message_id: callbackQuery.message.message_id,
+      }
+    );
+  } else if (data.startsWith("category_")) {
+    const choice = data.split("_")[1];
+    const accessToken = await loadToken(chatId, fromId);
+    let category = null;
+    if (choice !== "skip") {
+      try {
+        const categories = await fetchCategories(accessToken);
+        category = findCategory(categories, parseInt(choice, 10));
+      } catch (err) {
+        // An expense only needs the ID that was picked, a keyword also its name
+        if (session.keyword) {
+          await skipCategoryPicker(chatId, session, err);
+          return;
+        }
+        log.error(`Error fetching categories for chat ID ${chatId}:`, err);
+        category = { id: parseInt(choice, 10) };
+      }
+    }
+
+    if (session.expenseId) {
+      if (!category) {
+        await finishSession(session);
+        return;
+      }
+      await submitExpenseEdit(chatId, session, { category_id: category.id });
+    } else if (session.keyword) {
+      if (!category) {
+        await finishSession(session);
+        return;
+      }
+
+      const categoryName = category.parentName
+        ? `${category.parentName} › ${category.name}`
+        : category.name;
+      await CategoryKeyword.upsert({
+        chatId: String(chatId),
+        keyword: session.keyword,
+        categoryId: category.id,
+        categoryName,
+      });
+      log.success(
+        `Keyword "${session.keyword}" mapped to category ${category.id} for chat ID: ${chatId}`
+      );
+      bot.sendMessage(
+        chatId,
+        `Expenses mentioning "${session.keyword}" will be suggested as ${categoryName}.`
+      );
+      await finishSession(session);
+    } else {
+      session.categoryId = category ? category.id : DEFAULT_CATEGORY_ID;
+      await continueExpenseFlow(chatId, session);
+    }
+  } else if (data === "historyOlder" || data === "historyNewer") {
+    if (data === "historyOlder") {
+      session.pageOffsets.push(session.nextOffset);
+    } else if (session.pageOffsets.length > 1) {
+      session.pageOffsets.pop();
+    }
+
+    try {
+      await showHistoryPage(chatId, session, callbackQuery.message.message_id);
+    } catch (err) {
+      log.error(`Error fetching expenses for chat ID ${chatId}:`, err);
+      bot.sendMessage(chatId, "Failed to fetch expenses. Please try again.");
+    }
+  } else if (
+    data.startsWith("historyEdit_") ||
+    data.startsWith("historyDelete_")
+  ) {
+    const [prefix, expenseId] = data.split("_");
+    await startExpenseAction(
+      chatId,
+      fromId,
+      expenseId,
+      prefix === "historyEdit" ? "edit" : "delete"
+    );
+  } else if (data.startsWith("editField_")) {
+    const field = data.split("_")[1];
+
+    if (field === "category") {
+      try {
+        await promptCategory(chatId, session, "Pick the new category:");
+      } catch (err) {
+        await skipCategoryPicker(chatId, session, err);
+      }
+    } else if (field === "receipt") {
+      session.step = "awaiting_edit_receipt";
+      const sentMessage = await bot.sendMessage(
+        chatId,
+        "Send a photo of the receipt:"
+      );
+      session.messageIds.push(sentMessage.message_id);
+    } else {
+      session.step = `awaiting_edit_${field}`;
+      const sentMessage = await bot.sendMessage(
+        chatId,
+        field === "amount"
+          ? `Enter the new amount (e.g. 12.50 or 12.50 ${session.currencyCode}). The split keeps its proportions.`
+          : "Enter the new description:"
+      );
+      session.messageIds.push(sentMessage.message_id);
+    }
+  } else if (data === "deleteConfirm") {
+    const accessToken = await loadToken(chatId, fromId);
+
+    try {
+      const error = await deleteExpense(accessToken, session.expenseId);
+      if (error) {
+        log.error(`Error deleting expense ${session.expenseId}: ${error}`);
+        bot.sendMessage(chatId, `Failed to delete expense: ${error}`);
+      } else {
+        log.success(
+          `Expense ${session.expenseId} deleted for chat ID: ${chatId}`
+        );
+        bot.sendMessage(
+          chatId,
+          `Deleted expense #${session.expenseId} (${session.description}).`
+        );
+      }
+    } catch (err) {
+      log.error(`Error deleting expense ${session.expenseId}:`, err);
+      bot.sendMessage(chatId, "Failed to delete expense. Please try again.");
+    } finally {
+      await finishSession(session);
+    }
+  } else if (data === "expenseCancel") {
+    await finishSession(session);
+  } else if (
+    data.startsWith("recurringPause_") ||
+    data.startsWith("recurringResume_") ||
+    data.startsWith("recurringDelete_")
+  ) {
+    const [prefix, recurringId] = data.split("_");
+    const result = await manageRecurring(
+      chatId,
+      fromId,
+      recurringId,
+      prefix.replace("recurring", "").toLowerCase()
+    );
+
+    bot.answerCallbackQuery(callbackQuery.id, { text: result });
+    try {
+      await showRecurringList(
+        chatId,
+        session,
+        callbackQuery.message.message_id
+      );
+    } catch (err) {
+      log.error(`Error updating recurring list for chat ID ${chatId}:`, err);
+    }
+    return;
+  } else if (data === "importConfirm") {
+    // A second tap while the rows are being posted would import them twice
+    if (session.submitting) {
+      bot.answerCallbackQuery(callbackQuery.id);
+      return;
+    }
+    session.submitting = true;
+
+    bot.editMessageReplyMarkup(
+      { inline_keyboard: [] },
+      { chat_id: chatId, message_id: callbackQuery.message.message_id }
+    );
+    await submitImport(chatId, session);
+  } else if (data === "importCancel") {
+    await finishSession(session);
+  } else if (data === "debtsPlan") {
+    const accessToken = await loadToken(chatId, fromId);
+
+    try {
+      const group = await fetchGroup(accessToken, session.groupId);
+      const plan = computeSettlementPlan(group.members);
+
+      await bot.editMessageReplyMarkup(
+        { inline_keyboard: [] },
+        {
+          chat_id: chatId,
+          message_id: callbackQuery.message.message_id,
+        }
+      );
+      bot.sendMessage(
+        chatId,
+        plan.length > 0
+          ? `Suggested settlement plan:\n\n${formatDebts(plan, group.members)}`
+          : `Everyone in ${group.name} is settled up.`
+      );
+    } catch (err) {
+      log.error(`Error computing settlement plan for chat ID ${chatId}:`, err);
+      bot.sendMessage(
+        chatId,
+        "Failed to compute a settlement plan. Please try again."
+      );
+    } finally {
+      delete userSessions[session.sid];
+    }
+  } else if (data.startsWith("settleDebt_")) {
+    const debt = session.debts[parseInt(data.split("_")[1], 10)];
+    if (!debt) return;
+
+    session.settlement = { from: debt.from, to: debt.to };
+    await promptSettleAmount(chatId, session);
+  } else if (data === "settleOther") {
+    await promptSettleMember(chatId, session, "Who paid?", "settlePayer");
+  } else if (data.startsWith("settlePayer_")) {
+    const payer = session.members[parseInt(data.split("_")[1], 10)];
+    if (!payer) return;
+
+    session.settlement = { from: payer.id };
+    await promptSettleMember(
+      chatId,
+      session,
+      `Who did ${memberName(payer)} pay?`,
+      "settleTo"
+    );
+  } else if (data.startsWith("settleTo_")) {
+    const recipient = session.members[parseInt(data.split("_")[1], 10)];
+    if (!recipient || !session.settlement) return;
+
+    if (recipient.id === session.settlement.from) {
+      bot.answerCallbackQuery(callbackQuery.id, {
+        text: "Pick someone other than the payer.",
+      });
       return;
     }
 
-    const groupName = selectedGroup.name; // Get the selected group's name
+    session.settlement.to = recipient.id;
+    await resolveDefaultCurrency(session);
+    await promptSettleAmount(chatId, session);
+  } else if (data === "settleFull") {
+    const debt = session.debts.find(
+      (d) =>
+        d.from === session.settlement.from && d.to === session.settlement.to
+    );
+    if (!debt) return;
 
-    log.debug(
-      `Setting default group for chat ID: ${chatId} to group ID: ${groupId} (${groupName})`
+    await submitSettlement(
+      chatId,
+      session,
+      parseFloat(debt.amount),
+      debt.currency_code
     );
+  } else if (data.startsWith("linkMember_")) {
+    const member = session.members[parseInt(data.split("_")[1], 10)];
+    if (!member) return;
+
+    if (!session.relink && linkedToSomeoneElse(member, session.target)) {
+      bot.answerCallbackQuery(callbackQuery.id, {
+        text: `${memberName(member)} is already linked to ${member.telegramName}. Use /linkmember to change that.`,
+        show_alert: true,
+      });
+      return;
+    }
 
     try {
-      const token = await Token.findOne({ where: { chatId } });
-      if (token) {
-        token.defaultGroupId = groupId;
-        await token.save();
-        log.success(`Default group set successfully for chat ID: ${chatId}`);
-        bot.sendMessage(chatId, `Default group set to "${groupName}".`); // Display the group name
-
-        // Delete the stored messages
-        const messageIds = session.messageIds || [];
-        for (const messageId of messageIds) {
-          try {
-            await bot.deleteMessage(chatId, messageId);
-          } catch (err) {
-            log.error(`Failed to delete message ${messageId}:`, err);
-          }
-        }
-
-        // Clean up the session
-        delete userSessions[chatId];
-        log.debug(`Session for chat ID ${chatId} has been deleted.`);
-      } else {
-        log.error(`No token found for chat ID: ${chatId}`);
-        bot.sendMessage(
-          chatId,
-          "You are not logged in. Please use /login first."
-        );
-      }
-    } catch (error) {
-      log.error(`Error setting default group for chat ID: ${chatId}`, error);
-      bot.sendMessage(chatId, "Failed to set default group. Please try again.");
+      await saveMemberLink(session.groupId, session.target, member.id);
+      bot.sendMessage(
+        chatId,
+        `${session.target.name} is now linked to ${memberName(member)} in ${session.groupName}.`
+      );
+    } catch (err) {
+      log.error(`Error saving member link for chat ID ${chatId}:`, err);
+      bot.sendMessage(chatId, "Failed to link the member. Please try again.");
+    } finally {
+      await finishSession(session);
     }
-  } else if (data === "splitEquallyYes") {
-    const userSession = userSessions[chatId];
-    const { groupId, description, amount, currencyCode } = userSession;
-    const accessToken = await loadToken(chatId);
-
+  } else if (data === "linkPick") {
+    await promptMemberLink(chatId, session);
+  } else if (data === "linkNone") {
     try {
-      log.debug(
-        `Creating expense for group ID: ${groupId}, description: ${description}, amount: ${amount} ${currencyCode}`
+      await MemberLink.destroy({
+        where: {
+          groupId: String(session.groupId),
+          telegramUserId: session.target.id,
+        },
+      });
+      bot.sendMessage(
+        chatId,
+        `${session.target.name} is not linked to anyone in ${session.groupName}.`
       );
-      const createExpenseResponse = await fetch(
-        "https://secure.splitwise.com/api/v3.0/create_expense",
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            cost: amount.toFixed(2),
-            description,
-            currency_code: currencyCode,
-            category_id: 15,
-            group_id: groupId,
-            split_equally: true,
-          }),
-        }
+    } catch (err) {
+      log.error(`Error removing member link for chat ID ${chatId}:`, err);
+      bot.sendMessage(chatId, "Failed to unlink the member. Please try again.");
+    } finally {
+      await finishSession(session);
+    }
+  } else if (data === "amountConfirm") {
+    if (session.step !== "awaiting_amount_confirmation") return;
+    // Moving on from the step keeps a second tap from submitting twice
+    session.step = null;
+    session.amountInput = undefined;
+
+    // Payments and edited amounts are confirmed too, not only new expenses
+    if (session.amountStep === "awaiting_settle_amount") {
+      await submitSettlement(
+        chatId,
+        session,
+        session.amount,
+        session.currencyCode
       );
+    } else if (session.amountStep === "awaiting_edit_amount") {
+      await submitExpenseEdit(chatId, session, {
+        cost: session.amount.toFixed(2),
+        currency_code: session.currencyCode,
+        ...rescaleShares(session.users, toCents(session.amount)),
+      });
+    } else {
+      await continueExpenseFlow(chatId, session);
+    }
+  } else if (data === "amountRetry") {
+    if (session.step !== "awaiting_amount_confirmation") return;
+    session.amount = undefined;
+    session.amountInput = undefined;
+
+    if (session.amountStep) {
+      session.step = session.amountStep;
+      const sentMessage = await bot.sendMessage(
+        chatId,
+        "Please enter the amount again:"
+      );
+      session.messageIds.push(sentMessage.message_id);
+    } else {
+      await continueExpenseFlow(chatId, session);
+    }
+  } else if (data === "splitEquallyYes") {
+    const { groupId } = session;
+    const accessToken = await loadToken(chatId, fromId);
 
-      const expenseData = await createExpenseResponse.json();
+    try {
+      const group = await fetchGroup(accessToken, groupId);
+      session.members = group.members;
+      session.selectedMembers = group.members.map((member) => member.id);
+      session.splitMode = null;
 
-      if (
-        expenseData.errors &&
-        Array.isArray(expenseData.errors.base) &&
-        expenseData.errors.base.length > 0
-      ) {
-        const errorMessage = expenseData.errors.base.join(", ");
-        log.error(`Error creating expense: ${errorMessage}`);
-        bot.sendMessage(chatId, `Failed to create expense: ${errorMessage}`);
-      } else if (expenseData.expenses && expenseData.expenses.length > 0) {
-        log.success(`Expense created successfully for chat ID: ${chatId}`);
-        bot.sendMessage(
-          chatId,
-          `Expense created successfully for ${amount.toFixed(2)} ${currencyCode}`
-        );
-      } else {
-        log.error("Unknown error occurred during expense creation.");
-        bot.sendMessage(chatId, "Failed to create expense. Please try again.");
-      }
+      await promptPayer(chatId, session);
     } catch (err) {
-      log.error(`Error creating expense for group ID ${groupId}:`, err);
-      bot.sendMessage(chatId, "Failed to create expense. Please try again.");
-    } finally {
-      // Delete the stored messages
-      const messageIds = userSession.messageIds || [];
-      for (const messageId of messageIds) {
-        try {
-          await bot.deleteMessage(chatId, messageId);
-        } catch (err) {
-          log.error(`Failed to delete message ${messageId}:`, err);
-        }
-      }
-
-      // Clean up the session
-      delete userSessions[chatId];
-      log.debug(`Session for chat ID ${chatId} has been deleted.`);
+      log.error(`Error fetching members for group ID ${groupId}:`, err);
+      bot.sendMessage(
+        chatId,
+        "Failed to fetch group members. Please try again."
+      );
     }
-  } else if (data === "splitEquallyNo") {
-    const userSession = userSessions[chatId];
-    const { groupId } = userSession;
-    const accessToken = await loadToken(chatId);
+  } else if (data === "splitEquallyNo" || data.startsWith("splitMode_")) {
+    const { groupId } = session;
+    const splitMode = data.startsWith("splitMode_") ? data.split("_")[1] : null;
+
+    if (splitMode && !SPLIT_MODES[splitMode]) return;
+    session.splitMode = splitMode;
+    const accessToken = await loadToken(chatId, fromId);
 
     try {
       log.debug(`Fetching members for group ID: ${groupId}`);
-      const groupResponse = await fetch(
-        `https://secure.splitwise.com/api/v3.0/get_group/${groupId}`,
-        {
-          method: "GET",
-          headers: { Authorization: `Bearer ${accessToken}` },
-        }
-      );
-      const groupData = await groupResponse.json();
-      const members = groupData.group.members;
+      const group = await fetchGroup(accessToken, groupId);
+      const members = group.members;
 
       log.debug(`Fetched ${members.length} members for group ID: ${groupId}`);
-      userSessions[chatId].members = members;
-      userSessions[chatId].selectedMembers = [];
-
-      const memberButtons = members.map((member, idx) => [
-        {
-          text: `${member.first_name} ${member.last_name}`,
-          callback_data: `toggle_member_${idx}`,
-        },
-      ]);
+      session.members = members;
+      session.selectedMembers = [];
 
-      memberButtons.push([
-        { text: "Submit", callback_data: "submit_selected_members" },
-      ]);
-
-      bot
-        .sendMessage(chatId, "Select members to split the expense with:", {
-          reply_markup: { inline_keyboard: memberButtons },
-        })
-        .then((sentMessage) => {
-          userSessions[chatId].messageIds.push(sentMessage.message_id);
-        });
+      await sendMemberPicker(chatId, session);
     } catch (err) {
       log.error(`Error fetching members for group ID ${groupId}:`, err);
       bot.sendMessage(
@@ -770,69 +5643,27 @@ bot.on("callback_query", async (callbackQuery) => {
       );
     }
   } else if (data.startsWith("toggle_member_")) {
-    const userSession = userSessions[chatId];
-
-    // Check if userSession is defined
-    if (!userSession) {
-      log.error(`userSession is undefined for chat ID: ${chatId}`);
-      bot.sendMessage(chatId, "An error occurred. Please try again.");
-      return;
-    }
-
     const memberIdx = parseInt(data.split("_")[2], 10);
-    const members = userSession.members;
+    const members = session.members;
 
     if (!members[memberIdx]) return;
 
-    const selectedMembers = userSession.selectedMembers;
-    const memberId = members[memberIdx].id;
-
-    const selectedIndex = selectedMembers.indexOf(memberId);
-    if (selectedIndex > -1) {
-      selectedMembers.splice(selectedIndex, 1);
-    } else {
-      selectedMembers.push(memberId);
-    }
+    toggleMember(session.selectedMembers, members[memberIdx].id);
 
-    const memberButtons = members.map((member, idx) => [
+    bot.editMessageReplyMarkup(
       {
-        text: `${member.first_name} ${member.last_name} ${
-          selectedMembers.includes(member.id) ? "✅" : ""
-        }`,
-        callback_data: `toggle_member_${idx}`,
+        inline_keyboard: sessionKeyboard(
+          session,
+          buildMemberButtons(members, session.selectedMembers)
+        ),
       },
-    ]);
-
-    memberButtons.push([
-      { text: "Submit", callback_data: "submit_selected_members" },
-    ]);
-
-    bot.editMessageReplyMarkup(
-      { inline_keyboard: memberButtons },
       {
         chat_id: chatId,
         message_id: callbackQuery.message.message_id,
       }
     );
   } else if (data === "submit_selected_members") {
-    const userSession = userSessions[chatId];
-
-    // Check if userSession is defined
-    if (!userSession) {
-      log.error(`userSession is undefined for chat ID: ${chatId}`);
-      bot.sendMessage(chatId, "An error occurred. Please try again.");
-      return;
-    }
-
-    const {
-      groupId,
-      description,
-      amount,
-      currencyCode,
-      selectedMembers,
-      members,
-    } = userSession;
-    const accessToken = await loadToken(chatId);
+    const { selectedMembers } = session;
 
     // Check if selectedMembers is defined and is an array
     if (!selectedMembers || !Array.isArray(selectedMembers)) {
@@ -856,112 +5687,151 @@ bot.on("callback_query", async (callbackQuery) => {
       return;
     }
 
-    try {
-      log.debug(
-        `Creating expense for selected members in group ID: ${groupId} for chat ID: ${chatId}`
-      );
+    if (session.splitMode) {
+      await promptSplitValues(chatId, session);
+    } else {
+      await promptPayer(chatId, session);
+    }
+  } else if (data.startsWith("payer_")) {
+    if (!session.members) {
+      log.error(`Session ${session.sid} has no members for chat ID: ${chatId}`);
+      bot.sendMessage(chatId, "An error occurred. Please try again.");
+      return;
+    }
 
-      const usersPayload = {};
-      selectedMembers.forEach((memberId, index) => {
-        const member = members.find((m) => m.id === memberId);
-        if (member) {
-          log.debug(
-            `Member selected: ${member.first_name} ${member.last_name}, Member ID: ${memberId}`
-          );
-          usersPayload[`users__${index}__user_id`] = memberId;
-          usersPayload[`users__${index}__paid_share`] = (
-            amount / selectedMembers.length
-          ).toFixed(2);
-          usersPayload[`users__${index}__owed_share`] = (
-            amount / selectedMembers.length
-          ).toFixed(2);
-        } else {
-          log.error(`Member with ID ${memberId} not found in the members list`);
-        }
-      });
+    const payer = session.members[parseInt(data.split("_")[1], 10)];
+    if (!payer) return;
 
-      // Creating the payload for the API request
-      const payload = {
-        cost: amount.toFixed(2),
-        description,
-        currency_code: currencyCode,
-        category_id: 15,
-        group_id: groupId,
-        ...usersPayload,
-      };
+    log.debug(`Payer selected for chat ID ${chatId}: ${memberName(payer)}`);
+    session.payers = [{ memberId: payer.id, cents: toCents(session.amount) }];
+    await submitSelectedMembers(chatId, session);
+  } else if (data === "multiplePayers") {
+    if (!session.members) {
+      log.error(`Session ${session.sid} has no members for chat ID: ${chatId}`);
+      bot.sendMessage(chatId, "An error occurred. Please try again.");
+      return;
+    }
 
-      log.debug(`Payload for expense creation: ${JSON.stringify(payload)}`);
+    session.selectedPayers = [];
+    const sentMessage = await bot.sendMessage(
+      chatId,
+      "Select everyone who paid:",
+      {
+        reply_markup: {
+          inline_keyboard: sessionKeyboard(
+            session,
+            buildMemberButtons(
+              session.members,
+              session.selectedPayers,
+              "toggle_payer_",
+              "submit_payers"
+            )
+          ),
+        },
+      }
+    );
+    session.messageIds.push(sentMessage.message_id);
+  } else if (data.startsWith("toggle_payer_")) {
+    if (!session.selectedPayers) {
+      log.error(`Session ${session.sid} has no payers for chat ID: ${chatId}`);
+      bot.sendMessage(chatId, "An error occurred. Please try again.");
+      return;
+    }
 
-      const createExpenseResponse = await fetch(
-        "https://secure.splitwise.com/api/v3.0/create_expense",
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(payload),
-        }
-      );
+    const member = session.members[parseInt(data.split("_")[2], 10)];
+    if (!member) return;
 
-      const expenseData = await createExpenseResponse.json();
+    toggleMember(session.selectedPayers, member.id);
 
-      // Updated error handling
-      if (
-        expenseData.errors &&
-        Array.isArray(expenseData.errors.base) &&
-        expenseData.errors.base.length > 0
-      ) {
-        const errorMessage = expenseData.errors.base.join(", ");
-        log.error(`Error creating expense: ${errorMessage}`);
-        bot.sendMessage(chatId, `Failed to create expense: ${errorMessage}`);
-      } else if (
-        expenseData.expenses &&
-        Array.isArray(expenseData.expenses) &&
-        expenseData.expenses.length > 0
-      ) {
-        log.success(`Expense created successfully for chat ID: ${chatId}`);
-        bot.sendMessage(
-          chatId,
-          `Expense created successfully for ${amount.toFixed(2)} ${currencyCode}`
-        );
-      } else {
-        log.error("Unknown error occurred during expense creation.");
-        log.error(`API Response: ${JSON.stringify(expenseData)}`);
-        bot.sendMessage(chatId, "Failed to create expense. Please try again.");
-      }
-    } catch (err) {
-      log.error(`Error creating expense for group ID ${groupId}:`, err);
-      bot.sendMessage(chatId, "Failed to create expense. Please try again.");
-    } finally {
-      // Delete the stored messages
-      const messageIds = userSession.messageIds || [];
-      for (const messageId of messageIds) {
-        try {
-          await bot.deleteMessage(chatId, messageId);
-        } catch (err) {
-          log.error(`Failed to delete message ${messageId}:`, err);
-        }
+    bot.editMessageReplyMarkup(
+      {
+        inline_keyboard: sessionKeyboard(
+          session,
+          buildMemberButtons(
+            session.members,
+            session.selectedPayers,
+            "toggle_payer_",
+            "submit_payers"
+          )
+        ),
+      },
+      {
+        chat_id: chatId,
+        message_id: callbackQuery.message.message_id,
       }
+    );
+  } else if (data === "submit_payers") {
+    if (!session.selectedPayers) {
+      log.error(`Session ${session.sid} has no payers for chat ID: ${chatId}`);
+      bot.sendMessage(chatId, "An error occurred. Please try again.");
+      return;
+    }
+
+    if (session.selectedPayers.length === 0) {
+      bot.sendMessage(chatId, "Please select at least one person who paid.");
+      return;
+    }
 
-      // Clean up the session
-      delete userSessions[chatId];
-      log.debug(`Session for chat ID ${chatId} has been deleted.`);
+    if (session.selectedPayers.length === 1) {
+      session.payers = [
+        {
+          memberId: session.selectedPayers[0],
+          cents: toCents(session.amount),
+        },
+      ];
+      await submitSelectedMembers(chatId, session);
+    } else {
+      await promptPayerAmounts(chatId, session);
     }
   }
 
   bot.answerCallbackQuery(callbackQuery.id);
 });
 
+// Steps during which the user's next text message is the answer to a question
+const TEXT_STEPS = [
+  "awaiting_description",
+  "awaiting_amount",
+  "awaiting_settle_amount",
+  "awaiting_split_values",
+  "awaiting_payer_amounts",
+  "awaiting_items",
+  "awaiting_edit_description",
+  "awaiting_edit_amount",
+];
+
 bot.on("message", async (msg) => {
   const chatId = msg.chat.id;
-  const userSession = userSessions[chatId];
+  const userSession = findUserSession(chatId, msg.from.id);
 
-  if (userSession && userSession.userId === msg.from.id) {
+  if (msg.photo) {
+    await handleReceiptPhoto(msg, userSession);
+    return;
+  }
+
+  // In group chats a CSV file is only imported when captioned "import", so
+  // files shared for other reasons are left alone
+  if (
+    msg.document &&
+    /\.csv$/i.test(msg.document.file_name || "") &&
+    (msg.chat.type === "private" ||
+      (msg.caption || "").trim().toLowerCase() === "import")
+  ) {
+    await handleCsvImport(msg);
+    return;
+  }
+
+  // Commands are handled by their own onText handlers
+  if (!msg.text || msg.text.startsWith("/")) return;
+
+  // Anything else the user writes while a session is open is just chat
+  if (userSession && TEXT_STEPS.includes(userSession.step)) {
     log.debug(
       `Processing message for chat ID: ${chatId}, step: ${userSession.step}`
     );
 
+    touchSession(userSession);
+
     // Store the user's message ID (optional, if you want to delete user messages)
     if (!userSession.messageIds) userSession.messageIds = [];
     userSession.messageIds.push(msg.message_id);
@@ -979,59 +5849,142 @@ bot.on("message", async (msg) => {
 
       log.debug(`Received description: ${description} for chat ID: ${chatId}`);
       userSession.description = description;
-      userSession.step = "awaiting_amount";
-      bot
-        .sendMessage(
-          chatId,
-          "Please enter the amount for the expense (e.g., 10 USD or 10, default is SGD):"
-        )
-        .then((sentMessage) => {
-          userSession.messageIds.push(sentMessage.message_id);
-        });
+      await continueExpenseFlow(chatId, userSession);
     } else if (userSession.step === "awaiting_amount") {
-      const input = msg.text.trim();
-      const amountMatch = input.match(/^(\d+(\.\d{1,2})?)\s*([A-Z]{3})?$/);
+      const supportedCurrencies = await fetchSupportedCurrencies(
+        await loadToken(chatId, userSession.userId)
+      );
+      const parsed = parseAmount(msg.text, supportedCurrencies);
+      const { amount, computed, error } = parsed;
+      const currencyCode =
+        parsed.currencyCode || (await resolveDefaultCurrency(userSession));
 
-      if (!amountMatch) {
+      if (error) {
         log.error(`Invalid amount received for chat ID: ${chatId}`);
-        bot.sendMessage(
-          chatId,
-          "Invalid amount. Please enter a valid positive number with an optional currency code (e.g., 100 USD or 100)."
-        );
+        bot.sendMessage(chatId, error);
+        return;
+      }
+
+      log.debug(
+        `Received amount: ${amount} ${currencyCode} for chat ID: ${chatId}`
+      );
+      userSession.amount = amount;
+      userSession.amountInput = computed ? msg.text.trim() : undefined;
+      userSession.currencyCode = currencyCode;
+      await continueExpenseFlow(chatId, userSession);
+    } else if (userSession.step === "awaiting_settle_amount") {
+      const supportedCurrencies = await fetchSupportedCurrencies(
+        await loadToken(chatId, userSession.userId)
+      );
+      const parsed = parseAmount(msg.text, supportedCurrencies);
+
+      if (parsed.error) {
+        log.error(`Invalid payment amount received for chat ID: ${chatId}`);
+        bot.sendMessage(chatId, parsed.error);
         return;
       }
 
-      const amount = parseFloat(amountMatch[1]);
-      const currencyCode = amountMatch[3] || "SGD";
+      // Without a currency, use the one of the debt being settled
+      const debt = userSession.debts.find(
+        (d) =>
+          d.from === userSession.settlement.from &&
+          d.to === userSession.settlement.to
+      );
+      const currencyCode =
+        parsed.currencyCode ||
+        (debt && debt.currency_code) ||
+        (await resolveDefaultCurrency(userSession));
+
+      // A worked out amount is shown back before the payment is recorded
+      if (parsed.computed) {
+        userSession.amount = parsed.amount;
+        userSession.amountInput = msg.text.trim();
+        userSession.currencyCode = currencyCode;
+        userSession.amountStep = userSession.step;
+        await promptAmountConfirmation(chatId, userSession);
+        return;
+      }
+
+      await submitSettlement(chatId, userSession, parsed.amount, currencyCode);
+    } else if (userSession.step === "awaiting_split_values") {
+      const { owedCents, error } = parseSplitValues(
+        msg.text,
+        userSession.splitMode,
+        toCents(userSession.amount),
+        userSession.selectedMembers.length
+      );
+
+      if (error) {
+        log.error(`Invalid split values received for chat ID: ${chatId}`);
+        bot.sendMessage(chatId, error);
+        return;
+      }
 
-      if (isNaN(amount) || amount <= 0) {
-        log.error(`Non-positive amount received for chat ID: ${chatId}`);
+      log.debug(
+        `Received ${userSession.splitMode} split for chat ID ${chatId}: ${owedCents.join(", ")}`
+      );
+      userSession.owedCents = owedCents;
+      await promptPayer(chatId, userSession);
+    } else if (userSession.step === "awaiting_payer_amounts") {
+      const { owedCents: paidCents, error } = parseSplitValues(
+        msg.text,
+        "exact",
+        toCents(userSession.amount),
+        userSession.selectedPayers.length
+      );
+
+      if (error) {
+        log.error(`Invalid payer amounts received for chat ID: ${chatId}`);
+        bot.sendMessage(chatId, error);
+        return;
+      }
+
+      userSession.payers = userSession.selectedPayers.map((memberId, idx) => ({
+        memberId,
+        cents: paidCents[idx],
+      }));
+      await submitSelectedMembers(chatId, userSession);
+    } else if (userSession.step === "awaiting_items") {
+      await splitItemizedBill(chatId, userSession, msg.text);
+    } else if (userSession.step === "awaiting_edit_description") {
+      const description = msg.text.trim();
+      if (description === "") {
         bot.sendMessage(
           chatId,
-          "Invalid amount. Please enter a valid positive number."
+          "Invalid description. Please enter a valid description."
         );
         return;
       }
 
-      log.debug(
-        `Received amount: ${amount} ${currencyCode} for chat ID: ${chatId}`
+      await submitExpenseEdit(chatId, userSession, { description });
+    } else if (userSession.step === "awaiting_edit_amount") {
+      const supportedCurrencies = await fetchSupportedCurrencies(
+        await loadToken(chatId, userSession.userId)
       );
-      userSession.amount = amount;
-      userSession.currencyCode = currencyCode;
-      userSession.step = "splitEqually";
+      const parsed = parseAmount(msg.text, supportedCurrencies);
 
-      bot
-        .sendMessage(chatId, "Split equally?", {
-          reply_markup: {
-            inline_keyboard: [
-              [{ text: "Yes", callback_data: `splitEquallyYes` }],
-              [{ text: "No", callback_data: `splitEquallyNo` }],
-            ],
-          },
-        })
-        .then((sentMessage) => {
-          userSession.messageIds.push(sentMessage.message_id);
-        });
+      if (parsed.error) {
+        log.error(`Invalid amount received for chat ID: ${chatId}`);
+        bot.sendMessage(chatId, parsed.error);
+        return;
+      }
+
+      // A worked out amount is shown back before the expense is changed
+      if (parsed.computed) {
+        userSession.amount = parsed.amount;
+        userSession.amountInput = msg.text.trim();
+        userSession.currencyCode =
+          parsed.currencyCode || userSession.currencyCode;
+        userSession.amountStep = userSession.step;
+        await promptAmountConfirmation(chatId, userSession);
+        return;
+      }
+
+      await submitExpenseEdit(chatId, userSession, {
+        cost: parsed.amount.toFixed(2),
+        currency_code: parsed.currencyCode || userSession.currencyCode,
+        ...rescaleShares(userSession.users, toCents(parsed.amount)),
+      });
     }
   }
 });
@@ -1041,19 +5994,30 @@ app.use(bodyParser.urlencoded({ extended: true }));
 
 app.get("/oauth/callback", async (req, res) => {
   const code = req.query.code;
-  const chatId = req.query.state.toString(); // Ensure chatId is treated as a string
 
-  log.debug(`OAuth callback initiated for chat ID: ${chatId}`);
+  // The state ties the login to the chat and user that ran /login
+  const { chatId, userId, error } = await consumeOAuthState(req.query.state);
+  if (error) {
+    log.error(`Rejected OAuth callback: ${error}`);
+    res.status(400).send(error);
+    return;
+  }
+
+  log.debug(
+    `OAuth callback initiated for chat ID: ${chatId}, user ID: ${userId}`
+  );
   log.debug(`Received authorization code: ${code}`);
 
   // Check if the account is already linked
-  const existingToken = await Token.findOne({ where: { chatId } });
+  const existingToken = await Token.findOne({ where: { chatId, userId } });
   if (existingToken && existingToken.accessToken) {
-    log.error(`An account is already linked to chat ID: ${chatId}`);
+    log.error(
+      `An account is already linked to chat ID: ${chatId}, user ID: ${userId}`
+    );
     res
       .status(400)
       .send(
-        "An account is already linked to this group. Please unlink the current account before logging in with another one."
+        "You already have an account linked in this chat. Please unlink it before logging in with another one."
       );
     return;
   }
@@ -1086,13 +6050,13 @@ app.get("/oauth/callback", async (req, res) => {
     const data = await response.json();
     const accessToken = data.access_token;
 
-    log.debug(`Access token obtained: ${accessToken}`);
-    log.debug(`Saving access token for chat ID: ${chatId}`);
+    log.debug(`Access token obtained for chat ID: ${chatId}`);
+    log.debug(`Saving access token for chat ID: ${chatId}, user ID: ${userId}`);
 
-    await saveToken(chatId, accessToken); // Ensure chatId is saved consistently as a string
+    await saveToken(chatId, userId, accessToken); // Ensure chatId is saved consistently as a string
 
     // Delete the previous login message, if it exists
-    const session = userSessions[chatId];
+    const session = findUserSession(chatId, userId);
     if (session && session.loginMessageId) {
       log.debug(`Deleting login message for chat ID: ${chatId}`);
       try {
@@ -1100,6 +6064,7 @@ app.get("/oauth/callback", async (req, res) => {
       } catch (err) {
         log.error(`Failed to delete login message for chat ID: ${chatId}`, err);
       }
+      delete userSessions[session.sid];
     }
 
     // Send success message to Telegram
@@ -1112,7 +6077,36 @@ app.get("/oauth/callback", async (req, res) => {
   }
 });
 
+// Telegram delivers updates here in webhook mode, sending the secret along in a
+// header so requests from anyone else can be turned away
+if (WEBHOOK_URL) {
+  app.post(WEBHOOK_PATH, bodyParser.json(), (req, res) => {
+    const secret = req.get("X-Telegram-Bot-Api-Secret-Token") || "";
+    if (
+      secret.length !== webhookSecret.length ||
+      !crypto.timingSafeEqual(Buffer.from(secret), Buffer.from(webhookSecret))
+    ) {
+      log.error("Rejected webhook request with an invalid secret token");
+      res.sendStatus(401);
+      return;
+    }
+
+    bot.processUpdate(req.body);
+    res.sendStatus(200);
+  });
+}
+
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
   log.info(`Server running on port ${PORT}`);
+  if (!WEBHOOK_URL) return;
+
+  const webhookUrl = `${WEBHOOK_URL.replace(/\/+$/, "")}${WEBHOOK_PATH}`;
+  try {
+    await bot.setWebHook(webhookUrl, { secret_token: webhookSecret });
+    log.success(`Webhook registered at ${webhookUrl}`);
+  } catch (err) {
+    log.error("Failed to register the webhook, falling back to polling:", err);
+    await startPolling();
+  }
 });
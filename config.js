@@ -5,3 +5,19 @@ export const CLIENT_ID = process.env.CLIENT_ID;
 export const CLIENT_SECRET = process.env.CLIENT_SECRET;
 export const REDIRECT_URI = process.env.REDIRECT_URI;
 export const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+
+// Public HTTPS URL of this server. When set, Telegram delivers updates to a
+// webhook on it instead of the bot polling for them. WEBHOOK_SECRET is the token
+// Telegram sends along to prove the updates come from it.
+export const WEBHOOK_URL = process.env.WEBHOOK_URL;
+export const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+
+// Key used to encrypt stored Splitwise access tokens, plus any previous keys
+// (comma-separated) that tokens may still be encrypted with after a rotation
+export const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY;
+export const TOKEN_ENCRYPTION_OLD_KEYS = (
+  process.env.TOKEN_ENCRYPTION_OLD_KEYS || ""
+)
+  .split(",")
+  .map((key) => key.trim())
+  .filter(Boolean);
@@ -1,4 +1,62 @@
+import crypto from "crypto";
 import { Sequelize, DataTypes } from "sequelize";
+import { TOKEN_ENCRYPTION_KEY, TOKEN_ENCRYPTION_OLD_KEYS } from "./config.js";
+
+if (!TOKEN_ENCRYPTION_KEY) {
+  throw new Error("TOKEN_ENCRYPTION_KEY must be set to store access tokens");
+}
+
+// Derive a 256-bit AES key from each configured secret. The key ID stored next
+// to every ciphertext tells which secret it was encrypted with.
+const toKey = (secret) => {
+  const key = crypto.createHash("sha256").update(secret).digest();
+  const id = crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+  return { id, key };
+};
+
+const currentKey = toKey(TOKEN_ENCRYPTION_KEY);
+const keys = [currentKey, ...TOKEN_ENCRYPTION_OLD_KEYS.map(toKey)];
+
+const ENCRYPTED_PREFIX = "enc:v1";
+
+const isEncrypted = (value) => value.startsWith(`${ENCRYPTED_PREFIX}:`);
+
+// Encrypts an access token with the current key (AES-256-GCM)
+const encryptToken = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", currentKey.key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+  return [
+    ENCRYPTED_PREFIX,
+    currentKey.id,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+};
+
+// Decrypts a stored access token with whichever configured key it was encrypted with
+const decryptToken = (stored) => {
+  const [, , keyId, iv, tag, ciphertext] = stored.split(":");
+  const match = keys.find((k) => k.id === keyId);
+  if (!match) {
+    throw new Error(`No encryption key configured for key ID ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    match.key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
 
 // Create a new Sequelize instance (using SQLite)
 const sequelize = new Sequelize({
@@ -6,23 +64,359 @@ const sequelize = new Sequelize({
   storage: "./database.sqlite",
 });
 
-// Define a Token model
-const Token = sequelize.define("Token", {
+// Define a Token model. A token belongs to one Telegram user in a chat; rows
+// without a userId are chat-level accounts that everyone in the chat falls back to.
+const Token = sequelize.define(
+  "Token",
+  {
+    chatId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    accessToken: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    defaultGroupId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    defaultCurrency: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["chatId", "userId"] }],
+  }
+);
+
+// Define an OAuthState model for pending /login links. Each nonce is bound to
+// the chat and Telegram user that asked for it and can only be used once.
+const OAuthState = sequelize.define("OAuthState", {
+  nonce: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
   chatId: {
     type: DataTypes.STRING,
     allowNull: false,
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+});
+
+// Define a Session model for in-progress conversations (e.g. an expense being
+// entered), so they survive a restart. The session itself is stored as JSON.
+const Session = sequelize.define("Session", {
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false,
     unique: true,
   },
-  accessToken: {
+  chatId: {
     type: DataTypes.STRING,
     allowNull: false,
   },
-  defaultGroupId: {
+  userId: {
     type: DataTypes.STRING,
     allowNull: true,
   },
+  data: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
 });
 
+// Define a CategoryKeyword model mapping description keywords to Splitwise
+// categories, per chat, for suggesting a category when an expense is entered
+const CategoryKeyword = sequelize.define(
+  "CategoryKeyword",
+  {
+    chatId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    keyword: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    categoryId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    categoryName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["chatId", "keyword"] }],
+  }
+);
+
+// Define an ExpenseCreator model recording which Telegram user created an expense
+// through the bot. Everyone in a chat without their own account acts as the same
+// Splitwise account, so Splitwise's created_by can't tell them apart.
+const ExpenseCreator = sequelize.define("ExpenseCreator", {
+  expenseId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+});
+
+// Define a RecurringExpense model for expenses posted on a schedule. frequency is
+// "weekly" (day is the weekday, 0 = Sunday), "monthly" (day of the month) or
+// "days" (every `day` days); mentions is a JSON array of the members to split with.
+const RecurringExpense = sequelize.define("RecurringExpense", {
+  chatId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  groupId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  cost: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  currencyCode: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  categoryId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  mentions: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: "[]",
+  },
+  frequency: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  day: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  paused: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+});
+
+// Define a Reminder model for a chat's opt-in debt reminders, sent weekly on
+// `day` (0 = Sunday) at `hour` server time. Quiet hours hold reminders back from
+// quietStart until quietEnd; mutedMembers is a JSON array of Splitwise user IDs.
+const Reminder = sequelize.define("Reminder", {
+  chatId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  day: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  hour: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  threshold: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: "0.00",
+  },
+  quietStart: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  quietEnd: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  mutedMembers: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: "[]",
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+});
+
+// Define a MemberLink model mapping a Telegram user to the Splitwise member they
+// are in a group, so @mentions, reminders and "paid by me" know who is who. Each
+// Telegram user and each Splitwise member is linked at most once per group.
+const MemberLink = sequelize.define(
+  "MemberLink",
+  {
+    groupId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    telegramUserId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    telegramUsername: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    telegramName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    splitwiseUserId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+  },
+  {
+    indexes: [
+      { unique: true, fields: ["groupId", "telegramUserId"] },
+      { unique: true, fields: ["groupId", "splitwiseUserId"] },
+    ],
+  }
+);
+
+// Define a ChatPermission model holding which commands are restricted to chat
+// admins in a chat, as a JSON array of command names. Chats without a row use the
+// defaults in app.js.
+const ChatPermission = sequelize.define("ChatPermission", {
+  chatId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+  },
+  restrictedCommands: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+  },
+});
+
+// Tokens used to be unique per chat. Rebuild the table once so several people in
+// the same chat can link their own accounts; existing rows become chat-level accounts.
+const migrateTokens = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  const tables = await queryInterface.showAllTables();
+  if (!tables.includes("Tokens")) return;
+
+  const columns = await queryInterface.describeTable("Tokens");
+  if (columns.userId) return;
+
+  await sequelize.transaction(async (transaction) => {
+    await queryInterface.renameTable("Tokens", "Tokens_legacy", {
+      transaction,
+    });
+    await Token.sync({ transaction });
+    await sequelize.query(
+      "INSERT INTO `Tokens` (`id`, `chatId`, `accessToken`, `defaultGroupId`, `createdAt`, `updatedAt`) " +
+        "SELECT `id`, `chatId`, `accessToken`, `defaultGroupId`, `createdAt`, `updatedAt` FROM `Tokens_legacy`",
+      { transaction }
+    );
+    await queryInterface.dropTable("Tokens_legacy", { transaction });
+  });
+};
+
+// sync() only creates missing tables, so columns added to a model later are
+// added to the existing table here
+const addMissingColumns = async (model) => {
+  const queryInterface = sequelize.getQueryInterface();
+  const tableName = model.getTableName();
+  const columns = await queryInterface.describeTable(tableName);
+
+  for (const [name, attribute] of Object.entries(model.getAttributes())) {
+    if (!columns[name]) {
+      await queryInterface.addColumn(tableName, name, attribute);
+    }
+  }
+};
+
+// Encrypt tokens saved before encryption existed, and re-encrypt tokens that
+// still use a rotated-out key, so nobody has to log in again
+const encryptStoredTokens = async () => {
+  const tokens = await Token.findAll();
+  for (const token of tokens) {
+    const stored = token.accessToken;
+    if (isEncrypted(stored) && stored.split(":")[2] === currentKey.id) continue;
+
+    try {
+      const plaintext = isEncrypted(stored) ? decryptToken(stored) : stored;
+      token.accessToken = encryptToken(plaintext);
+      await token.save();
+    } catch (error) {
+      console.error(`Failed to re-encrypt token ${token.id}:`, error.message);
+    }
+  }
+};
+
+await migrateTokens();
 await sequelize.sync();
+await addMissingColumns(Token);
+await encryptStoredTokens();
 
-export { sequelize, Token };
+export {
+  sequelize,
+  Token,
+  OAuthState,
+  Session,
+  CategoryKeyword,
+  ExpenseCreator,
+  RecurringExpense,
+  Reminder,
+  MemberLink,
+  ChatPermission,
+  encryptToken,
+  decryptToken,
+};